@@ -0,0 +1,304 @@
+/**
+ * PanasBaselines — comparison polygons on the windrose
+ *
+ * Each baseline is the per-item average over a subset of entries, drawn in
+ * its own colour behind the handles and listed in a legend under the rose:
+ *   range    – any date range (whole days, inclusive)
+ *   weekday  – every entry on a given weekday (default: today's)
+ *   week     – a pinned Monday–Sunday week, e.g. a known good one
+ *   tag      – entries tagged #tag, or #key:value for one value (js/tags.js)
+ * One baseline is active at a time; the readout compares the in-progress
+ * rating item by item against it. Definitions are kept in localStorage so
+ * pinned baselines survive reloads. Averages are computed from the DB once
+ * and cached until the DB changes ('panas-db-change', fired by every persist,
+ * so edits, imports and merges are picked up), the questionnaire changes
+ * or a baseline is added or removed.
+ *
+ * Depends on:
+ *   window.panasDB, window.panasItems ({ ITEMS, POS_IDX, NEG_IDX, instrument }), window.PanasInstruments,
+ *   window.PanasTags
+ *   window.panasWindrose ({ layer, path(valMap), values() } — from the main script)
+ * Redraws from the cache on 'panas-values-change' (drag, layout shuffle, DB refresh).
+ */
+window.PanasBaselines = (function () {
+    'use strict';
+
+    var LS_KEY = 'panas_baselines';
+    var PALETTE = ['#d62728', '#ff7f0e', '#17becf', '#8c564b', '#e377c2', '#7f7f7f'];
+    var DAY_MS = 24 * 3600000;
+    var WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    var TYPES = { range: 'Date range', weekday: 'Same weekday', week: 'Pinned week', tag: 'Tagged entries' };
+
+    var state = load();   // { list: [{ id, type, color, from, to, day, week, tag }], active: id|null }
+    var cache = null;     // { inst, day, computed: [{ b, m }] } for state.list; 'today' weekdays expire at midnight
+
+    /* ================================================================
+       Persistence
+       ================================================================ */
+    function load() {
+        try {
+            var s = JSON.parse(localStorage.getItem(LS_KEY));
+            if (s && Array.isArray(s.list)) return s;
+        } catch (_) { }
+        return { list: [], active: null };
+    }
+
+    function save() {
+        localStorage.setItem(LS_KEY, JSON.stringify(state));
+    }
+
+    /* ================================================================
+       Averages
+       ================================================================ */
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+    function dayStart(ymd) { return new Date(ymd + 'T00:00'); }
+
+    function shortDate(d) { return d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }); }
+
+    function weekdayOf(b) { return b.day === 'today' ? new Date().getDay() : Number(b.day); }
+
+    /* → [sinceISO, untilISO) for the date-bounded types, null otherwise */
+    function bounds(b) {
+        if (b.type === 'range') return [dayStart(b.from).toISOString(), new Date(dayStart(b.to).getTime() + DAY_MS).toISOString()];
+        if (b.type === 'week') return [dayStart(b.week).toISOString(), new Date(dayStart(b.week).getTime() + 7 * DAY_MS).toISOString()];
+        return null;
+    }
+
+    function label(b) {
+        if (b.type === 'range') return shortDate(dayStart(b.from)) + ' – ' + shortDate(dayStart(b.to));
+        if (b.type === 'weekday') return WEEKDAYS[weekdayOf(b)] + 's' + (b.day === 'today' ? ' (today\'s weekday)' : '');
+        if (b.type === 'week') return 'Week of ' + shortDate(dayStart(b.week));
+        return '#' + b.tag;
+    }
+
+    function average(b) {
+        var ITEMS = window.panasItems.ITEMS;
+        var def = window.panasItems.instrument;
+        var w = window.PanasInstruments.where(window.panasDB, def);
+        var sql = 'SELECT ts, ratings FROM entries WHERE deleted=0 AND ' + w.sql;
+        var params = w.params.slice();
+        var bd = bounds(b);
+        if (bd) { sql += ' AND ts>=? AND ts<?'; params = params.concat(bd); }
+        if (b.type === 'tag') {
+            var t = window.PanasTags.where(b.tag);
+            sql += ' AND ' + t.sql;
+            params = params.concat(t.params);
+        }
+        var res = window.panasDB.exec(sql, params);
+        var rows = res.length ? res[0].values : [];
+        if (b.type === 'weekday') {
+            var day = weekdayOf(b);
+            rows = rows.filter(function (r) { return new Date(r[0]).getDay() === day; });
+        }
+        if (!rows.length) return null;
+        var mid = window.PanasInstruments.midpoint(def);
+        var ratings = rows.map(function (r) { return window.PanasInstruments.ratings(r[1]); });
+        var avg = {};
+        ITEMS.forEach(function (n) {
+            avg[n] = ratings.reduce(function (a, r) { return a + (r[n] == null ? mid : r[n]); }, 0) / rows.length;
+        });
+        return { avg: avg, count: rows.length };
+    }
+
+    function averages() {
+        var inst = window.panasItems.instrument.uid, day = new Date().getDay();
+        if (!cache || cache.inst !== inst || cache.day !== day) {
+            cache = { inst: inst, day: day, computed: state.list.map(function (b) { return { b: b, m: average(b) }; }) };
+        }
+        return cache.computed;
+    }
+
+    /* ================================================================
+       Drawing
+       ================================================================ */
+    function invalidate() {
+        cache = null;
+        redraw();
+    }
+
+    function redraw() {
+        var wr = window.panasWindrose;
+        if (!wr || !document.getElementById('bl-legend')) return;
+        var computed = averages();
+
+        wr.layer.selectAll('path')
+            .data(computed.filter(function (c) { return c.m; }), function (c) { return c.b.id; })
+            .join('path')
+            .attr('d', function (c) { return wr.path(c.m.avg); })
+            .attr('fill', function (c) { return c.b.id === state.active ? c.b.color : 'none'; })
+            .attr('fill-opacity', 0.08)
+            .attr('stroke', function (c) { return c.b.color; })
+            .attr('stroke-width', function (c) { return c.b.id === state.active ? 2.5 : 1.5; })
+            .attr('stroke-dasharray', function (c) { return c.b.id === state.active ? null : '3,3'; })
+            .style('pointer-events', 'none');
+
+        renderLegend(computed);
+        renderDelta(computed);
+    }
+
+    function renderLegend(computed) {
+        var el = document.getElementById('bl-legend');
+        el.innerHTML = computed.map(function (c) {
+            return '<div class="bl-row' + (c.b.id === state.active ? ' active' : '') + '" data-id="' + c.b.id + '" title="Compare the current rating with this baseline">' +
+                '<span class="bl-swatch" style="border-color:' + c.b.color + '"></span>' +
+                '<span class="bl-label">' + esc(label(c.b)) + '</span>' +
+                '<span class="bl-meta">' + TYPES[c.b.type].toLowerCase() + ' · ' + (c.m ? c.m.count + ' entr' + (c.m.count === 1 ? 'y' : 'ies') : 'no entries') + '</span>' +
+                '<button class="bl-remove" data-remove="' + c.b.id + '" title="Remove">✕</button></div>';
+        }).join('');
+        el.querySelectorAll('.bl-row').forEach(function (row) {
+            row.onclick = function () { state.active = row.dataset.id; save(); redraw(); };
+        });
+        el.querySelectorAll('[data-remove]').forEach(function (btn) {
+            btn.onclick = function (ev) { ev.stopPropagation(); remove(btn.dataset.remove); };
+        });
+    }
+
+    function renderDelta(computed) {
+        var el = document.getElementById('bl-delta');
+        var active = computed.filter(function (c) { return c.b.id === state.active; })[0];
+        if (!active || !active.m) { el.innerHTML = ''; return; }
+        var items = window.panasItems;
+        var pos = {}, neg = {};
+        items.POS_IDX.forEach(function (i) { pos[items.ITEMS[i - 1]] = true; });
+        items.NEG_IDX.forEach(function (i) { neg[items.ITEMS[i - 1]] = true; });
+        var cur = window.panasWindrose.values();
+        el.innerHTML = '<div class="bl-delta-head">Current rating vs <b style="color:' + active.b.color + '">' + esc(label(active.b)) + '</b></div>' +
+            '<div class="bl-delta-grid">' + items.ITEMS.map(function (n) {
+                var d = cur[n] - active.m.avg[n];
+                /* unscored ("other") items have no better direction */
+                var cls = Math.abs(d) < 0.05 || (!pos[n] && !neg[n]) ? 'same' : ((d > 0) === !!pos[n] ? 'better' : 'worse');
+                var txt = Math.abs(d) < 0.05 ? '±0' : (d > 0 ? '+' : '−') + Math.abs(d).toFixed(1);
+                return '<span class="bl-item" title="' + n + ': ' + cur[n] + ' now, ' + active.m.avg[n].toFixed(2) + ' baseline">' +
+                    esc(n) + ' <span class="bl-d ' + cls + '">' + txt + '</span></span>';
+            }).join('') + '</div>';
+    }
+
+    /* ================================================================
+       Editing
+       ================================================================ */
+    function add(def) {
+        var used = state.list.map(function (b) { return b.color; });
+        def.id = 'b' + Date.now().toString(36);
+        def.color = PALETTE.filter(function (c) { return used.indexOf(c) < 0; })[0] || PALETTE[state.list.length % PALETTE.length];
+        state.list.push(def);
+        state.active = def.id;
+        save();
+        invalidate();
+    }
+
+    function remove(id) {
+        state.list = state.list.filter(function (b) { return b.id !== id; });
+        if (state.active === id) state.active = state.list.length ? state.list[state.list.length - 1].id : null;
+        save();
+        invalidate();
+    }
+
+    function mondayOf(ymd) {
+        var d = dayStart(ymd);
+        d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    /* Read the add-form → definition, or a string explaining what's missing */
+    function readForm() {
+        var type = document.getElementById('bl-type').value;
+        var v = function (id) { return document.getElementById(id).value.trim(); };
+        if (type === 'range') {
+            if (!v('bl-from') || !v('bl-to') || v('bl-from') > v('bl-to')) return 'Choose a start and end date.';
+            return { type: type, from: v('bl-from'), to: v('bl-to') };
+        }
+        if (type === 'weekday') return { type: type, day: v('bl-day') };
+        if (type === 'week') {
+            if (!v('bl-week')) return 'Choose a day in the week to pin.';
+            return { type: type, week: mondayOf(v('bl-week')) };
+        }
+        var tag = window.PanasTags.parse(v('bl-tag'));
+        if (!tag) return 'Enter a tag (letters, digits, - or _), optionally with :value.';
+        return { type: type, tag: window.PanasTags.format(tag) };
+    }
+
+    /* ================================================================
+       UI
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-baselines-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-baselines-css';
+        style.textContent = [
+            '.bl-panel{font-size:12px;color:#555;margin:.2rem 0 .6rem;}',
+            '.bl-row{display:flex;align-items:center;gap:.4rem;padding:.2rem .3rem;border-radius:6px;cursor:pointer;}',
+            '.bl-row:hover{background:#f7f7f7;}',
+            '.bl-row.active{background:#f0f4fa;}',
+            '.bl-swatch{display:inline-block;width:20px;height:0;border-top:3px dashed;}',
+            '.bl-row.active .bl-swatch{border-top-style:solid;}',
+            '.bl-label{font-weight:600;}',
+            '.bl-meta{color:#999;flex:1;}',
+            '.bl-row button.bl-remove{padding:0 .35rem;font-size:11px;border-radius:4px;}',
+            '.bl-delta-head{margin:.35rem 0 .2rem;}',
+            '.bl-delta-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(120px,1fr));gap:.1rem .6rem;}',
+            '.bl-item{display:flex;justify-content:space-between;}',
+            '.bl-d{font-variant-numeric:tabular-nums;font-weight:600;}',
+            '.bl-d.better{color:#2a7;}',
+            '.bl-d.worse{color:#c0392b;}',
+            '.bl-d.same{color:#aaa;}',
+            '.bl-add summary{cursor:pointer;color:#888;margin-top:.3rem;}',
+            '.bl-form{display:flex;gap:.4rem;align-items:center;flex-wrap:wrap;margin-top:.4rem;}',
+            '.bl-form button{padding:.25rem .6rem;font-size:12px;}',
+            '.bl-form .bl-err{color:#d9534f;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function showFields() {
+        var type = document.getElementById('bl-type').value;
+        document.querySelectorAll('.bl-form [data-for]').forEach(function (el) {
+            el.style.display = el.dataset.for === type ? '' : 'none';
+        });
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('baseline-anchor');
+        if (!anchor || document.getElementById('bl-legend')) return;
+        injectStyles();
+        var panel = document.createElement('div');
+        panel.className = 'bl-panel';
+        panel.innerHTML =
+            '<div id="bl-legend"></div>' +
+            '<div id="bl-delta"></div>' +
+            '<details class="bl-add"><summary>Compare with a baseline…</summary>' +
+            '<div class="bl-form">' +
+            '  <select id="bl-type">' + Object.keys(TYPES).map(function (t) { return '<option value="' + t + '">' + TYPES[t] + '</option>'; }).join('') + '</select>' +
+            '  <span data-for="range">from <input type="date" id="bl-from"> to <input type="date" id="bl-to"></span>' +
+            '  <span data-for="weekday"><select id="bl-day"><option value="today">today\'s weekday</option>' +
+            WEEKDAYS.map(function (d, i) { return '<option value="' + i + '">' + d + 's</option>'; }).join('') + '</select></span>' +
+            '  <span data-for="week">week containing <input type="date" id="bl-week"></span>' +
+            '  <span data-for="tag">#<input type="text" id="bl-tag" list="tag-suggest" placeholder="work" size="10"></span>' +
+            '  <button id="bl-add">Add</button>' +
+            '  <span id="bl-err" class="bl-err"></span>' +
+            '</div></details>';
+        anchor.appendChild(panel);
+        document.getElementById('bl-type').onchange = showFields;
+        document.getElementById('bl-add').onclick = function () {
+            var def = readForm();
+            document.getElementById('bl-err').textContent = typeof def === 'string' ? def : '';
+            if (typeof def !== 'string') add(def);
+        };
+        showFields();
+        redraw();
+        window.addEventListener('panas-values-change', redraw);
+        window.addEventListener('panas-db-change', invalidate);
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        add: add,
+        remove: remove,
+        list: function () { return state.list.slice(); }
+    };
+})();
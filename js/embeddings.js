@@ -0,0 +1,220 @@
+/**
+ * PanasEmbeddings — text-similarity backends for intent alignment
+ *
+ * Semantic backends run a sentence-embedding model through Transformers.js,
+ * either pulled from the Hugging Face Hub or read from model files in a local
+ * folder. The local backend loads the vendored library (vendor/transformers.min.js,
+ * with the ONNX runtime beside it) unless pointed elsewhere, so it runs fully
+ * offline. The lexical backend weights words with BM25 against the
+ * check-in history and needs nothing to load; it is also what is used while
+ * a model loads or when it can't.
+ *
+ *   BACKENDS                    id → { label, model?, local?, lexical? }
+ *   config(), setConfig(cfg)    { backend, localPath, localModel, libraryUrl } (per device)
+ *   load(onProgress)            → Promise<current()> — loads the configured backend,
+ *                                 falling back to BM25 when it fails
+ *   current()                   → { id, modelId, label, semantic, loading, error }
+ *   vector(text)                → Promise<vector | null> under the current backend
+ *   similarity(va, vb)          → cosine similarity of two vectors, or null
+ *   setCorpus(texts)            BM25 document statistics (call when the history changes)
+ *
+ * modelId names what produced a vector or score (e.g. 'transformers:Xenova/all-MiniLM-L6-v2',
+ * 'bm25'); intent.js stores it with each check-in so vectors from different
+ * models are never compared. Only semantic vectors are dense and worth
+ * storing (`semantic: true`); BM25 vectors depend on the corpus and are
+ * rebuilt on demand.
+ *
+ * Loaded before the main script; no dependencies.
+ */
+window.PanasEmbeddings = (function () {
+    'use strict';
+
+    var LS_CONFIG = 'intent_embedding_backend';
+    var CDN_URL = 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3';
+    var VENDOR_URL = 'vendor/transformers.min.js';
+    var BACKENDS = {
+        'minilm': { label: 'MiniLM-L6 (English, ~25 MB download)', model: 'Xenova/all-MiniLM-L6-v2' },
+        'multilingual': { label: 'Multilingual MiniLM-L12 (~120 MB download)', model: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2' },
+        'bge-small': { label: 'BGE small (English, ~35 MB download)', model: 'Xenova/bge-small-en-v1.5' },
+        'local': { label: 'Model files in a local folder', local: true },
+        'bm25': { label: 'BM25 keyword weighting (offline)', lexical: true }
+    };
+    var DEFAULT_CONFIG = { backend: 'minilm', localPath: 'models/', localModel: 'Xenova/all-MiniLM-L6-v2', libraryUrl: VENDOR_URL };
+
+    /* BM25 parameters */
+    var K1 = 1.2, B = 0.75;
+
+    var state = { id: 'bm25', modelId: 'bm25', pipe: null, loading: false, error: null };
+    var loadSeq = 0;
+    var corpus = { n: 0, avgLen: 1, df: {} };
+
+    /* ================================================================
+       Configuration
+       ================================================================ */
+    function config() {
+        var cfg = {};
+        try { cfg = JSON.parse(localStorage.getItem(LS_CONFIG)) || {}; } catch (_) { /* defaults */ }
+        var out = {};
+        Object.keys(DEFAULT_CONFIG).forEach(function (k) { out[k] = cfg[k] || DEFAULT_CONFIG[k]; });
+        if (out.libraryUrl === CDN_URL) out.libraryUrl = VENDOR_URL;   // the old default, saved along with the rest
+        if (!BACKENDS[out.backend]) out.backend = DEFAULT_CONFIG.backend;
+        return out;
+    }
+
+    function setConfig(cfg) {
+        localStorage.setItem(LS_CONFIG, JSON.stringify(cfg));
+    }
+
+    function current() {
+        var def = BACKENDS[state.id];
+        var label = def.local ? config().localModel + ' (local)' : def.lexical ? 'BM25 keywords' : def.model.split('/').pop();
+        return { id: state.id, modelId: state.modelId, label: label, semantic: !!state.pipe, loading: state.loading, error: state.error };
+    }
+
+    /* ================================================================
+       Loading
+       ================================================================ */
+    function useBm25(error) {
+        state.id = 'bm25';
+        state.modelId = 'bm25';
+        state.pipe = null;
+        state.loading = false;
+        state.error = error || null;
+    }
+
+    /* Dynamic import works from http(s):// pages; from file:// it throws and BM25 stays in use.
+       The URL is resolved against the page, not this script. A library on this
+       origin gets its ONNX runtime files from the same folder instead of the CDN. */
+    async function load(onProgress) {
+        var cfg = config();
+        var def = BACKENDS[cfg.backend];
+        var seq = ++loadSeq;
+        useBm25(null);
+        if (def.lexical) return current();
+
+        var model = def.local ? cfg.localModel : def.model;
+        state.loading = true;
+        try {
+            var url = new URL(def.local ? cfg.libraryUrl : CDN_URL, document.baseURI);
+            var here = url.origin === location.origin;
+            if (!here && !navigator.onLine) {
+                throw new Error('offline, and Transformers.js is set to load from ' + url.host +
+                    (def.local ? ' (use ' + VENDOR_URL + ' to run offline)' : ''));
+            }
+            var mod = await import(url.href);
+            var onnx = mod.env.backends.onnx;
+            if (here && onnx && onnx.wasm) onnx.wasm.wasmPaths = new URL('./', url).href;
+            if (def.local) {
+                mod.env.localModelPath = cfg.localPath;
+                mod.env.allowLocalModels = true;
+                mod.env.allowRemoteModels = false;
+            } else {
+                mod.env.allowRemoteModels = true;
+            }
+            var pipe = await mod.pipeline('feature-extraction', model, {
+                progress_callback: function (p) {
+                    if (p.status === 'progress' && onProgress) onProgress(p.progress || 0);
+                }
+            });
+            if (seq !== loadSeq) return current();   // superseded by a later load()
+            state.id = cfg.backend;
+            state.modelId = 'transformers:' + model;
+            state.pipe = pipe;
+        } catch (e) {
+            if (seq !== loadSeq) return current();
+            console.warn('PanasEmbeddings: ' + model + ' unavailable – using BM25.', e.message);
+            useBm25(e.message || String(e));
+        }
+        state.loading = false;
+        return current();
+    }
+
+    /* ================================================================
+       BM25
+       ================================================================ */
+    var STOPS = new Set(
+        'the a an is it to in on for of and or i my me was did do be this that with have has had not but at by from so'.split(' ')
+    );
+
+    /* Lowercased words minus stop words, with plural / -ing / -ed endings trimmed */
+    function tokenize(s) {
+        return (s || '').toLowerCase().split(/[^\w\u00C0-\uFFFF]+/).filter(function (w) {
+            return w.length > 1 && !STOPS.has(w);
+        }).map(function (w) {
+            return w.length > 5 ? w.replace(/(ing|ed|es|s)$/, '') : w.length > 3 ? w.replace(/s$/, '') : w;
+        });
+    }
+
+    function setCorpus(texts) {
+        var df = {}, total = 0, n = 0;
+        texts.forEach(function (t) {
+            var toks = tokenize(t);
+            if (!toks.length) return;
+            n++;
+            total += toks.length;
+            new Set(toks).forEach(function (w) { df[w] = (df[w] || 0) + 1; });
+        });
+        corpus = { n: n, avgLen: n ? total / n : 1, df: df };
+    }
+
+    function bm25Vector(text) {
+        var toks = tokenize(text);
+        if (!toks.length) return null;
+        var tf = {};
+        toks.forEach(function (w) { tf[w] = (tf[w] || 0) + 1; });
+        var norm = K1 * (1 - B + B * toks.length / corpus.avgLen);
+        var vec = {};
+        Object.keys(tf).forEach(function (w) {
+            var df = corpus.df[w] || 0;
+            var idf = Math.log(1 + (corpus.n - df + 0.5) / (df + 0.5));
+            vec[w] = idf * tf[w] * (K1 + 1) / (tf[w] + norm);
+        });
+        return vec;
+    }
+
+    /* ================================================================
+       Vectors
+       ================================================================ */
+    async function vector(text) {
+        if (!text || !text.trim()) return null;
+        if (!state.pipe) return bm25Vector(text);
+        try {
+            var out = await state.pipe(text, { pooling: 'mean', normalize: true });
+            return Array.from(out.data);
+        } catch (e) {
+            console.warn('PanasEmbeddings: embedding failed', e.message);
+            return null;
+        }
+    }
+
+    /* Cosine of two dense arrays or two sparse { term: weight } maps */
+    function similarity(a, b) {
+        if (!a || !b) return null;
+        var dot = 0, nA = 0, nB = 0, i, k;
+        if (Array.isArray(a)) {
+            if (!Array.isArray(b) || a.length !== b.length) return null;
+            for (i = 0; i < a.length; i++) {
+                dot += a[i] * b[i];
+                nA += a[i] * a[i];
+                nB += b[i] * b[i];
+            }
+        } else {
+            if (Array.isArray(b)) return null;
+            for (k in a) { nA += a[k] * a[k]; if (b[k]) dot += a[k] * b[k]; }
+            for (k in b) nB += b[k] * b[k];
+        }
+        var denom = Math.sqrt(nA) * Math.sqrt(nB);
+        return denom === 0 ? 0 : dot / denom;
+    }
+
+    return {
+        BACKENDS: BACKENDS,
+        config: config,
+        setConfig: setConfig,
+        load: load,
+        current: current,
+        vector: vector,
+        similarity: similarity,
+        setCorpus: setCorpus
+    };
+})();
@@ -0,0 +1,514 @@
+/**
+ * PanasImport — CSV / JSON entry import with column mapping and validation
+ *
+ * Accepts the JSON that "Copy JSON" produces (items nested under `items`) as
+ * well as flat JSON arrays and CSV exports from spreadsheets or other mood
+ * trackers. Flow: parse → map source columns onto ts / log / hours_slept /
+ * the items of the active questionnaire → validate (every item an integer on
+ * its rating scale, parseable ts, duplicate timestamps) → explicit merge or
+ * replace → insert. Hours slept become sleep nights (js/sleep.js) for days
+ * that have none yet. A row naming its `instrument` (as Copy JSON does) is
+ * saved under that questionnaire, its items read by name; an unknown one is
+ * skipped as invalid. A `tags` array is kept and applied (js/tags.js).
+ *
+ * A dropped .sqlite file goes through openDatabase() instead: it is migrated,
+ * compared row by row with the current database (js/merge.js) and previewed as
+ * new / duplicate / conflicting before the user picks merge or replace. Either
+ * way a snapshot is taken first and the undo bar offers a one-click rollback.
+ *
+ * Depends on:
+ *   window.panasDB, window.panasPersist, window.panasRefreshFromDb
+ *   window.panasSQL, window.PanasSchema, window.PanasMerge (.sqlite import)
+ *   window.panasShowUndo, window.PanasStore.snapshot / .replaceWith (replace, roll back)
+ *   window.panasItems   ({ ITEMS, instrument })  window.panasNewUid (function)
+ *   window.PanasStore (snapshot before writing)  window.PanasTags (imported tags)
+ *   window.PanasInstruments (rating range, scores, entry columns, named)  window.PanasSleep (hours slept)
+ */
+window.PanasImport = (function () {
+    'use strict';
+
+    var FIELD_ALIASES = {
+        ts: ['ts', 'timestamp', 'date', 'datetime', 'time', 'created', 'createdat'],
+        log: ['log', 'note', 'notes', 'journal', 'comment', 'text'],
+        hours_slept: ['hoursslept', 'sleep', 'sleephours', 'hours']
+    };
+
+    var TABLE_LABELS = { entries: 'Entries', sleep_nights: 'Sleep', sleep_log: 'Sleep log (old)', intent_checkins: 'Intent check-ins', instruments: 'Questionnaires', entry_tags: 'Tags', settings: 'Settings', intent_goals: 'Goals' };
+
+    var state = null;   // { fileName, rows, sourceCols, mapping, mode, plan }
+    var pending = null; // .sqlite import: { fileName, srcDB, plan, mode }
+
+    /* ================================================================
+       Parsing
+       ================================================================ */
+    function detectDelimiter(text) {
+        var firstLine = text.split(/\r?\n/, 1)[0];
+        var best = ',', bestCount = 0;
+        [',', ';', '\t'].forEach(function (d) {
+            var n = firstLine.split(d).length - 1;
+            if (n > bestCount) { best = d; bestCount = n; }
+        });
+        return best;
+    }
+
+    /* RFC 4180: quoted fields, "" escapes, newlines inside quotes */
+    function parseCSV(text) {
+        var delim = detectDelimiter(text);
+        var rows = [], row = [], field = '', inQuotes = false;
+        for (var i = 0; i < text.length; i++) {
+            var c = text[i];
+            if (inQuotes) {
+                if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (c === '"') inQuotes = false;
+                else field += c;
+            } else if (c === '"') {
+                inQuotes = true;
+            } else if (c === delim) {
+                row.push(field); field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field); field = '';
+                rows.push(row); row = [];
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || row.length) { row.push(field); rows.push(row); }
+        rows = rows.filter(function (r) { return r.some(function (v) { return v.trim() !== ''; }); });
+        if (!rows.length) return [];
+        var header = rows[0].map(function (h) { return h.trim(); });
+        return rows.slice(1).map(function (r) {
+            var o = {};
+            header.forEach(function (h, idx) { o[h] = r[idx] !== undefined ? r[idx] : ''; });
+            return o;
+        });
+    }
+
+    /* Copy-JSON nests item values under `items`; flatten so they map like any column */
+    function parseJSON(text) {
+        var data = JSON.parse(text);
+        if (!Array.isArray(data)) data = data.entries || [data];
+        return data.map(function (o) {
+            var flat = {};
+            Object.keys(o).forEach(function (k) {
+                if (k === 'items' && o.items && typeof o.items === 'object') {
+                    Object.keys(o.items).forEach(function (it) { flat[it] = o.items[it]; });
+                } else if (k === 'tags' && Array.isArray(o.tags)) {
+                    flat.tags = o.tags.filter(function (t) { return typeof t === 'string'; });
+                } else if (o[k] === null || typeof o[k] !== 'object') {
+                    flat[k] = o[k];
+                }
+            });
+            return flat;
+        });
+    }
+
+    /* ================================================================
+       Mapping + validation
+       ================================================================ */
+    function norm(s) { return String(s).toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+    function targetFields() {
+        return ['ts', 'log', 'hours_slept'].concat(window.panasItems.ITEMS);
+    }
+
+    function autoMap(sourceCols) {
+        var byNorm = {};
+        sourceCols.forEach(function (c) { byNorm[norm(c)] = c; });
+        var mapping = {};
+        targetFields().forEach(function (f) {
+            var candidates = FIELD_ALIASES[f] || [norm(f)];
+            for (var i = 0; i < candidates.length; i++) {
+                if (byNorm[candidates[i]]) { mapping[f] = byNorm[candidates[i]]; break; }
+            }
+        });
+        return mapping;
+    }
+
+    function parseTs(v) {
+        if (v === null || v === undefined || String(v).trim() === '') return null;
+        var s = String(v).trim();
+        var d;
+        if (/^\d{9,13}$/.test(s)) {
+            var n = parseInt(s, 10);
+            d = new Date(s.length <= 10 ? n * 1000 : n);   // epoch seconds or ms
+        } else {
+            d = new Date(s);
+        }
+        return isNaN(d.getTime()) ? null : d.toISOString();
+    }
+
+    /* An integer on the active questionnaire's rating scale, else null */
+    function parseItem(v, def) {
+        if (v === null || v === undefined || String(v).trim() === '') return null;
+        var n = Number(String(v).trim());
+        return Number.isInteger(n) && n >= def.scale_min && n <= def.scale_max ? n : null;
+    }
+
+    /* The questionnaire a row names (null when unknown), else the active one */
+    function rowInstrument(src, cache) {
+        var name = src.instrument == null ? '' : String(src.instrument).trim();
+        if (!name) return window.panasItems.instrument;
+        if (!(name in cache)) cache[name] = window.PanasInstruments.named(window.panasDB, name);
+        return cache[name];
+    }
+
+    /* Whether some row is rated on the active questionnaire, so its items must be mapped */
+    function needsMapping(rows) {
+        var cache = {}, active = window.panasItems.instrument;
+        return rows.some(function (src) { var d = rowInstrument(src, cache); return d && d.uid === active.uid; });
+    }
+
+    /* → { rows: [{ ts, log, hours_slept, values, def, tags }], invalid: [{ line, reason }], duplicates: [{ line, ts }] } */
+    function buildPlan(rows, mapping, mode) {
+        var active = window.panasItems.instrument;
+        var named = {};
+        var existing = new Set();
+        if (mode === 'merge') {
+            var res = window.panasDB.exec('SELECT ts FROM entries WHERE deleted=0');
+            if (res.length) res[0].values.forEach(function (r) { existing.add(r[0]); });
+        }
+        var plan = { rows: [], invalid: [], duplicates: [] };
+        var seen = new Set();
+        rows.forEach(function (src, i) {
+            var line = i + 1;
+            var ts = parseTs(src[mapping.ts]);
+            if (!ts) { plan.invalid.push({ line: line, reason: 'unreadable timestamp "' + (src[mapping.ts] || '') + '"' }); return; }
+            var def = rowInstrument(src, named);
+            if (!def) { plan.invalid.push({ line: line, reason: 'unknown questionnaire "' + src.instrument + '"' }); return; }
+            /* the active questionnaire's items go through the mapping; another one's are read by name */
+            var col = def.uid === active.uid ? function (it) { return mapping[it]; } : function (it) { return it; };
+            var values = {}, bad = [];
+            def.items.forEach(function (item) {
+                var it = item.name, raw = src[col(it)];
+                var v = parseItem(raw, def);
+                if (v === null) bad.push(it + '=' + JSON.stringify(raw === undefined ? '' : raw));
+                values[it] = v;
+            });
+            if (bad.length) { plan.invalid.push({ line: line, reason: 'not ' + def.scale_min + '–' + def.scale_max + ': ' + bad.slice(0, 4).join(', ') + (bad.length > 4 ? '…' : '') }); return; }
+            var sleep = null;
+            if (mapping.hours_slept && String(src[mapping.hours_slept] == null ? '' : src[mapping.hours_slept]).trim() !== '') {
+                sleep = Number(src[mapping.hours_slept]);
+                if (isNaN(sleep) || sleep < 0 || sleep > 24) { plan.invalid.push({ line: line, reason: 'hours_slept out of range' }); return; }
+            }
+            if (existing.has(ts) || seen.has(ts)) { plan.duplicates.push({ line: line, ts: ts }); return; }
+            seen.add(ts);
+            plan.rows.push({
+                ts: ts, log: mapping.log ? String(src[mapping.log] == null ? '' : src[mapping.log]) : '', hours_slept: sleep,
+                values: values, def: def, tags: Array.isArray(src.tags) ? src.tags : []
+            });
+        });
+        return plan;
+    }
+
+    /* ================================================================
+       Commit
+       ================================================================ */
+    function commit() {
+        var db = window.panasDB;
+        var plan = state.plan;
+        var now = new Date().toISOString();
+        var insert = function (r) {
+            var ec = window.PanasInstruments.entryColumns(r.def, r.values);
+            var sc = window.PanasInstruments.score(r.def, r.values);
+            var cols = ['ts', 'log'].concat(ec.cols, ['positive_score', 'negative_score', 'uid', 'updated_at']);
+            var uid = window.panasNewUid();
+            db.run('INSERT INTO entries (' + cols.map(function (c) { return '"' + c + '"'; }).join(',') + ') VALUES (' +
+                cols.map(function () { return '?'; }).join(',') + ')', [r.ts, r.log].concat(ec.vals, [sc.posScore, sc.negScore, uid, now]));
+            if (r.tags.length) window.PanasTags.setForEntry(db, uid, r.tags, now);
+        };
+
+        return window.PanasStore.snapshot(db.export(), 'before ' + state.fileName + ' import').then(function () {
+            db.exec('BEGIN');
+            try {
+                if (state.mode === 'replace') db.run('UPDATE entries SET deleted=1, updated_at=? WHERE deleted=0', [now]);
+                plan.rows.forEach(insert);
+                /* Sleep goes to the night ending on the row's day (the latest row of a day
+                   wins); nights already logged are left alone */
+                var nights = {};
+                plan.rows.slice().sort(function (a, b) { return a.ts < b.ts ? -1 : 1; }).forEach(function (r) {
+                    if (r.hours_slept != null) nights[window.PanasSleep.nightOf(r.ts, null)] = r.hours_slept;
+                });
+                Object.keys(nights).forEach(function (night) {
+                    if (window.PanasSleep.get(db, night)) return;
+                    window.PanasSleep.save(db, { night: night, hours_slept: nights[night], tz_offset: null }, now);
+                });
+                db.exec('COMMIT');
+            } catch (e) {
+                db.exec('ROLLBACK');
+                throw e;
+            }
+            window.panasPersist();
+            window.panasRefreshFromDb();
+            return plan.rows.length;
+        });
+    }
+
+    /* ================================================================
+       Dialog
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-import-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-import-css';
+        style.textContent = [
+            '#imp-overlay{position:fixed;inset:0;background:rgba(0,0,0,.35);display:flex;align-items:flex-start;justify-content:center;z-index:1000;overflow:auto;padding:2rem 1rem;}',
+            '#imp-dialog{background:#fff;border-radius:10px;max-width:640px;width:100%;padding:1rem 1.2rem;font-size:13px;box-shadow:0 6px 30px rgba(0,0,0,.2);}',
+            '#imp-dialog h3{margin:.1rem 0 .6rem;}',
+            '#imp-dialog .imp-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(190px,1fr));gap:.35rem .8rem;max-height:300px;overflow:auto;border:1px solid #eee;border-radius:6px;padding:.5rem;}',
+            '#imp-dialog .imp-grid label{display:flex;justify-content:space-between;align-items:center;gap:.4rem;}',
+            '#imp-dialog .imp-grid select{max-width:110px;font-size:12px;}',
+            '#imp-dialog .imp-grid label.unmapped{color:#d9534f;}',
+            '#imp-dialog .imp-mode{margin:.7rem 0;display:grid;gap:.25rem;}',
+            '#imp-dialog .imp-summary{background:#f8f9fa;border-radius:6px;padding:.5rem .7rem;margin:.5rem 0;white-space:pre-wrap;}',
+            '#imp-dialog .err{color:#d9534f;}',
+            '#imp-dialog .imp-actions{display:flex;gap:.5rem;justify-content:flex-end;margin-top:.6rem;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+    function close() {
+        var o = document.getElementById('imp-overlay');
+        if (o) o.remove();
+        if (pending) pending.srcDB.close();
+        state = null;
+        pending = null;
+    }
+
+    function overlay() {
+        injectStyles();
+        var o = document.getElementById('imp-overlay');
+        if (!o) {
+            o = document.createElement('div');
+            o.id = 'imp-overlay';
+            document.body.appendChild(o);
+        }
+        return o;
+    }
+
+    /* Said before a replace: whether a snapshot is kept (none in the localStorage fallback) */
+    function snapshotNote() {
+        return window.PanasStore.canSnapshot() ? 'a snapshot is kept'
+            : 'this browser can\'t keep a snapshot (no IndexedDB), so download a backup first';
+    }
+
+    function setStatus(msg) {
+        document.getElementById('status').textContent = msg;
+    }
+
+    function render() {
+        var o = overlay();
+        var opts = '<option value="">— none —</option>' + state.sourceCols.map(function (c) {
+            return '<option value="' + esc(c) + '">' + esc(c) + '</option>';
+        }).join('');
+        o.innerHTML =
+            '<div id="imp-dialog" role="dialog" aria-label="Import entries">' +
+            '<h3>Import ' + esc(state.fileName) + '</h3>' +
+            '<div>' + state.rows.length + ' row(s), ' + state.sourceCols.length + ' column(s). Map each field to a source column — ' +
+            (needsMapping(state.rows)
+                ? 'all ' + window.panasItems.ITEMS.length + ' ' + esc(window.PanasInstruments.label(window.panasItems.instrument)) + ' items are required.'
+                : 'only the timestamp is required: every row names another questionnaire, whose items are read by name.') + '</div>' +
+            '<div class="imp-grid">' + targetFields().map(function (f) {
+                return '<label data-field="' + esc(f) + '">' + esc(f) + '<select data-field="' + esc(f) + '">' + opts + '</select></label>';
+            }).join('') + '</div>' +
+            '<div class="imp-mode">' +
+            '  <b>How should these rows be added?</b>' +
+            '  <label><input type="radio" name="imp-mode" value="merge"> Merge — keep existing entries, skip rows whose timestamp already exists</label>' +
+            '  <label><input type="radio" name="imp-mode" value="replace"> Replace — remove all existing entries first (' + snapshotNote() + ')</label>' +
+            '</div>' +
+            '<div id="imp-summary" class="imp-summary">Choose merge or replace to validate.</div>' +
+            '<div class="imp-actions"><button id="imp-cancel">Cancel</button><button id="imp-go" disabled>Import</button></div>' +
+            '</div>';
+
+        o.querySelectorAll('select[data-field]').forEach(function (sel) {
+            sel.value = state.mapping[sel.dataset.field] || '';
+            sel.onchange = function () {
+                state.mapping[sel.dataset.field] = sel.value || undefined;
+                validate();
+            };
+        });
+        o.querySelectorAll('input[name="imp-mode"]').forEach(function (r) {
+            r.onchange = function () { state.mode = r.value; validate(); };
+        });
+        document.getElementById('imp-cancel').onclick = close;
+        document.getElementById('imp-go').onclick = function () {
+            if (state.mode === 'replace' && !confirm('Replace all existing entries with ' + state.plan.rows.length + ' imported row(s)?' +
+                (window.PanasStore.canSnapshot() ? '' : ' No snapshot can be kept in this browser, so this can\'t be undone.'))) return;
+            var name = state.fileName, mode = state.mode, dup = state.plan.duplicates.length, bad = state.plan.invalid.length;
+            commit().then(function (n) {
+                close();
+                setStatus(
+                    (mode === 'replace' ? 'Replaced entries with ' : 'Merged ') + n + ' row(s) from ' + name +
+                    (dup ? ', skipped ' + dup + ' duplicate(s)' : '') + (bad ? ', ' + bad + ' invalid' : '') + '.');
+            }).catch(function (e) {
+                console.error('PanasImport: commit failed', e);
+                alert('Import failed: ' + (e.message || e));
+            });
+        };
+        validate();
+    }
+
+    function validate() {
+        var dlg = document.getElementById('imp-dialog');
+        var needed = needsMapping(state.rows);
+        var missing = targetFields().filter(function (f) {
+            return f === 'ts' ? !state.mapping.ts : f !== 'log' && f !== 'hours_slept' && needed && !state.mapping[f];
+        });
+        dlg.querySelectorAll('label[data-field]').forEach(function (l) {
+            l.classList.toggle('unmapped', missing.indexOf(l.dataset.field) >= 0);
+        });
+        var summary = document.getElementById('imp-summary');
+        var go = document.getElementById('imp-go');
+        go.disabled = true;
+        if (missing.length) {
+            summary.innerHTML = '<span class="err">Unmapped: ' + esc(missing.join(', ')) + '</span>';
+            return;
+        }
+        if (!state.mode) { summary.textContent = 'Choose merge or replace to validate.'; return; }
+        var plan = state.plan = buildPlan(state.rows, state.mapping, state.mode);
+        var lines = [plan.rows.length + ' row(s) ready to import'];
+        if (plan.duplicates.length) lines.push(plan.duplicates.length + ' duplicate timestamp(s) skipped');
+        if (plan.invalid.length) {
+            lines.push('<span class="err">' + plan.invalid.length + ' invalid row(s) skipped:</span>');
+            plan.invalid.slice(0, 8).forEach(function (p) { lines.push('<span class="err">  row ' + p.line + ': ' + esc(p.reason) + '</span>'); });
+            if (plan.invalid.length > 8) lines.push('<span class="err">  …</span>');
+        }
+        summary.innerHTML = lines.join('\n');
+        go.disabled = !plan.rows.length;
+        go.textContent = 'Import ' + plan.rows.length + ' row(s)';
+    }
+
+    /* ================================================================
+       .sqlite merge-import
+       ================================================================ */
+    function describeCounts(c) {
+        var parts = [c.new + ' new', c.duplicate + ' duplicate' + (c.duplicate === 1 ? '' : 's'), c.conflict + ' conflicting'];
+        var line = parts.join(', ');
+        if (c.conflict) line += ' (' + c.incoming + ' newer in the file)';
+        return line;
+    }
+
+    function describeReport(r) {
+        var parts = [];
+        if (r.inserted) parts.push(r.inserted + ' new');
+        if (r.updated) parts.push(r.updated + ' updated');
+        if (r.deleted) parts.push(r.deleted + ' deleted');
+        return parts.length ? parts.join(', ') : 'nothing changed';
+    }
+
+    function renderDatabase() {
+        var o = overlay();
+        var counts = pending.plan.counts;
+        var lost = window.PanasMerge.TABLES.reduce(function (n, t) { return n + counts[t].localOnly; }, 0);
+        o.innerHTML =
+            '<div id="imp-dialog" role="dialog" aria-label="Import database">' +
+            '<h3>Import ' + esc(pending.fileName) + '</h3>' +
+            '<div>Compared with the current database:</div>' +
+            '<div class="imp-summary">' + window.PanasMerge.TABLES.map(function (t) {
+                return '<b>' + TABLE_LABELS[t] + ':</b> ' + describeCounts(counts[t]);
+            }).join('\n') + '</div>' +
+            '<div class="imp-mode">' +
+            '  <b>How should this file be imported?</b>' +
+            '  <label><input type="radio" name="imp-mode" value="merge"> Merge — add new rows; for conflicting rows keep whichever was edited last</label>' +
+            '  <label><input type="radio" name="imp-mode" value="replace"> Replace — use the file as-is' +
+            (lost ? ' <span class="err">(' + lost + ' row(s) that exist only here will be dropped)</span>' : '') + '</label>' +
+            '</div>' +
+            (window.PanasStore.canSnapshot()
+                ? '<div>A snapshot of the current database is taken first, so either choice can be rolled back.</div>'
+                : '<div class="err">This browser can\'t keep snapshots (no IndexedDB): Roll back is offered for a minute after the import, ' +
+                  'and nothing is kept after that. Download a backup first.</div>') +
+            '<div class="imp-actions"><button id="imp-cancel">Cancel</button><button id="imp-go" disabled>Import</button></div>' +
+            '</div>';
+
+        var go = document.getElementById('imp-go');
+        o.querySelectorAll('input[name="imp-mode"]').forEach(function (r) {
+            r.onchange = function () {
+                pending.mode = r.value;
+                go.disabled = false;
+                go.textContent = r.value === 'merge' ? 'Merge' : 'Replace';
+            };
+        });
+        document.getElementById('imp-cancel').onclick = close;
+        go.onclick = function () {
+            commitDatabase().catch(function (e) {
+                console.error('PanasImport: database import failed', e);
+                alert('Import failed: ' + (e.message || e));
+            });
+        };
+    }
+
+    function commitDatabase() {
+        var db = window.panasDB;
+        var p = pending;
+        var before = db.export();
+        if (p.mode === 'replace' && !window.PanasStore.canSnapshot() &&
+            !confirm('Replace the current database with ' + p.fileName + '? No snapshot can be kept in this browser.')) return Promise.resolve();
+        return window.PanasStore.snapshot(before, 'before ' + p.fileName + ' import').then(function (snapId) {
+            var msg;
+            if (p.mode === 'replace') {
+                /* re-stamped, and rows only here tombstoned, so the next sync drops them too */
+                window.PanasStore.replaceWith(p.srcDB.export());
+                msg = 'Replaced the database with ' + p.fileName;
+            } else {
+                var report = window.PanasMerge.apply(db, p.plan);
+                window.panasPersist();
+                window.panasRefreshFromDb();
+                msg = 'Merged ' + p.fileName + ': ' + describeReport(report);
+            }
+            close();
+            setStatus(msg + (snapId != null ? ' (previous data kept as a snapshot).' : '.'));
+            window.panasShowUndo(msg + '.', function () {
+                window.PanasStore.replaceWith(before, 'Import of ' + p.fileName + ' rolled back.');
+            }, { label: 'Roll back', ms: 60000 });
+        });
+    }
+
+    function openDatabase(file) {
+        return file.arrayBuffer().then(function (buf) {
+            var srcDB = new window.panasSQL.Database(new Uint8Array(buf));
+            try {
+                /* checked before migrate(), which would otherwise create an empty one */
+                if (!window.PanasSchema.columns(srcDB, 'entries').length) throw new Error('no entries table');
+                window.PanasSchema.migrate(srcDB);
+                pending = { fileName: file.name, srcDB: srcDB, plan: window.PanasMerge.plan(srcDB, window.panasDB), mode: null };
+            } catch (e) {
+                srcDB.close();
+                throw e;
+            }
+            renderDatabase();
+        }).catch(function (e) {
+            console.error('PanasImport: database open failed', e);
+            var msg = e.code === 'SCHEMA_TOO_NEW' || e.code === 'MIGRATION_FAILED' ? e.message
+                : file.name + ' is not a PANAS SQLite export (' + (e.message || e) + '). Nothing was changed.';
+            setStatus('Import failed: ' + msg);
+            alert(msg);
+        });
+    }
+
+    /* ================================================================
+       Entry point
+       ================================================================ */
+    function open(file) {
+        return file.text().then(function (text) {
+            var isJson = /\.json$/i.test(file.name) || /^\s*[\[{]/.test(text);
+            var rows = isJson ? parseJSON(text) : parseCSV(text);
+            if (!rows.length) throw new Error('no rows found');
+            var cols = [];
+            rows.forEach(function (r) { Object.keys(r).forEach(function (k) { if (cols.indexOf(k) < 0 && k !== 'tags') cols.push(k); }); });
+            state = { fileName: file.name, rows: rows, sourceCols: cols, mapping: autoMap(cols), mode: null, plan: null };
+            render();
+        }).catch(function (e) {
+            console.error('PanasImport: parse failed', e);
+            alert('Could not read ' + file.name + ': ' + (e.message || e));
+        });
+    }
+
+    return {
+        open: open,
+        openDatabase: openDatabase,
+        parseCSV: parseCSV,
+        parseJSON: parseJSON
+    };
+})();
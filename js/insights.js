@@ -0,0 +1,430 @@
+/**
+ * PanasInsights — correlations and effects across sleep, PANAS items and alignment
+ *
+ * Everything is computed per local calendar day over the dashboard's shared
+ * date window (see panasGetRange):
+ *   – lagged correlations (same day / next day) of sleep hours and
+ *     alignment_retro with every item and with positive/negative score:
+ *     Pearson r, paired-day n, 95% CI and p from the Fisher z-transform
+ *   – 7-day rolling mean ± SD of the two scores, and items whose last 7 days
+ *     sit more than one SD away from their usual level
+ *   – weekday and time-of-day means with 95% CIs for any item or score
+ * The strongest results are restated in plain language. Nothing is corrected
+ * for multiple comparisons, so the panel says so instead of hiding it.
+ *
+ * Sleep is attributed to the day of waking: each night in sleep_nights
+ * (js/sleep.js) counts for the day it ended, like the collapse warning in
+ * js/intent.js.
+ *
+ * Depends on:
+ *   window.panasDB, window.panasItems ({ ITEMS, POS_IDX, NEG_IDX, instrument }), window.PanasInstruments, window.PanasSleep,
+ *   window.panasGetRange (optional)
+ */
+window.PanasInsights = (function () {
+    'use strict';
+
+    var MIN_N = 8;          // fewer paired days than this → not reported
+    var MIN_GROUP_N = 3;    // weekday / time-of-day cells need at least this many entries
+    var ROLL_DAYS = 7;
+    var Z95 = 1.959964;
+    var WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    var DAYPARTS = [
+        { label: 'Night (22–5)', test: function (h) { return h >= 22 || h < 5; } },
+        { label: 'Morning (5–12)', test: function (h) { return h >= 5 && h < 12; } },
+        { label: 'Afternoon (12–17)', test: function (h) { return h >= 12 && h < 17; } },
+        { label: 'Evening (17–22)', test: function (h) { return h >= 17 && h < 22; } }
+    ];
+    var PREDICTORS = { sleep: 'sleep', align: 'intent alignment' };
+
+    var refreshTimer = null;
+
+    /* ================================================================
+       Statistics
+       ================================================================ */
+    function mean(a) {
+        return a.length ? a.reduce(function (s, x) { return s + x; }, 0) / a.length : null;
+    }
+
+    function sd(a) {
+        if (a.length < 2) return null;
+        var m = mean(a);
+        return Math.sqrt(a.reduce(function (s, x) { return s + (x - m) * (x - m); }, 0) / (a.length - 1));
+    }
+
+    function pearson(xs, ys) {
+        var mx = mean(xs), my = mean(ys), sxy = 0, sxx = 0, syy = 0;
+        for (var i = 0; i < xs.length; i++) {
+            sxy += (xs[i] - mx) * (ys[i] - my);
+            sxx += (xs[i] - mx) * (xs[i] - mx);
+            syy += (ys[i] - my) * (ys[i] - my);
+        }
+        return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+    }
+
+    /* Abramowitz & Stegun 7.1.26 — plenty for a p-value readout */
+    function normCdf(z) {
+        var t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        var erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+            Math.exp(-z * z / 2);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /* Fisher z: 95% CI and two-sided p for r over n pairs */
+    function fisher(r, n) {
+        var z = Math.atanh(Math.max(-0.999999, Math.min(0.999999, r)));
+        var se = 1 / Math.sqrt(n - 3);
+        return { lo: Math.tanh(z - Z95 * se), hi: Math.tanh(z + Z95 * se), p: 2 * (1 - normCdf(Math.abs(z) / se)) };
+    }
+
+    /* ================================================================
+       Data
+       ================================================================ */
+    function dayKey(d) {
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    function shiftDay(key, n) {
+        var d = new Date(key + 'T12:00');
+        d.setDate(d.getDate() + n);
+        return dayKey(d);
+    }
+
+    /* Scores the active questionnaire has, then its items */
+    function metrics() {
+        var items = window.panasItems;
+        return [{ key: 'positive_score', label: 'Positive score', n: items.POS_IDX.length },
+            { key: 'negative_score', label: 'Negative score', n: items.NEG_IDX.length }]
+            .filter(function (m) { return m.n; })
+            .concat(items.ITEMS.map(function (n) { return { key: n, label: n }; }));
+    }
+
+    function query(sql, params) {
+        try {
+            var r = window.panasDB.exec(sql, params);
+            return r.length ? r[0].values : [];
+        } catch (_) { return []; }
+    }
+
+    /* → { entries: [{ ts, vals }], daily: { day: { metric: mean } }, sleep: { day: h }, align: { day: mean } } */
+    function load(since, until) {
+        var ms = metrics();
+        var w = window.PanasInstruments.where(window.panasDB, window.panasItems.instrument);
+        var entries = query('SELECT ts, positive_score, negative_score, ratings FROM entries WHERE deleted=0 AND ts>=? AND ts<? AND ' +
+            w.sql + ' ORDER BY ts', [since, until].concat(w.params)).map(function (v) {
+            var vals = window.PanasInstruments.ratings(v[3]);
+            vals.positive_score = v[1];
+            vals.negative_score = v[2];
+            return { ts: new Date(v[0]), vals: vals };
+        });
+
+        var byDay = {};
+        entries.forEach(function (e) {
+            var k = dayKey(e.ts);
+            (byDay[k] = byDay[k] || []).push(e);
+        });
+        var daily = {};
+        Object.keys(byDay).forEach(function (k) {
+            daily[k] = {};
+            ms.forEach(function (m) {
+                daily[k][m.key] = mean(byDay[k].map(function (e) { return e.vals[m.key]; }).filter(function (x) { return x != null; }));
+            });
+        });
+
+        var sleep = {};
+        window.PanasSleep.nights(window.panasDB, since, until).forEach(function (n) {
+            if (n.hours_slept != null) sleep[n.night] = n.hours_slept;
+        });
+
+        var alignRows = {};
+        query('SELECT ts, alignment_retro FROM intent_checkins WHERE deleted=0 AND alignment_retro IS NOT NULL AND ts>=? AND ts<?', [since, until])
+            .forEach(function (v) {
+                var k = dayKey(new Date(v[0]));
+                (alignRows[k] = alignRows[k] || []).push(v[1]);
+            });
+        var align = {};
+        Object.keys(alignRows).forEach(function (k) { align[k] = mean(alignRows[k]); });
+
+        return { entries: entries, daily: daily, sleep: sleep, align: align };
+    }
+
+    /* ================================================================
+       Analyses
+       ================================================================ */
+    function correlations(data) {
+        var out = [];
+        var series = { sleep: data.sleep, align: data.align };
+        Object.keys(series).forEach(function (pred) {
+            [0, 1].forEach(function (lag) {
+                metrics().forEach(function (m) {
+                    var xs = [], ys = [];
+                    Object.keys(series[pred]).forEach(function (k) {
+                        var d = data.daily[shiftDay(k, lag)];
+                        if (d && d[m.key] != null) { xs.push(series[pred][k]); ys.push(d[m.key]); }
+                    });
+                    var r = xs.length >= MIN_N ? pearson(xs, ys) : null;
+                    var res = { predictor: pred, lag: lag, metric: m, n: xs.length, r: r };
+                    if (r !== null) {
+                        var f = fisher(r, xs.length);
+                        res.lo = f.lo; res.hi = f.hi; res.p = f.p;
+                    }
+                    out.push(res);
+                });
+            });
+        });
+        return out;
+    }
+
+    /* Trailing ROLL_DAYS-day mean ± SD of every entry, one point per calendar day */
+    function rolling(data, key) {
+        if (!data.entries.length) return [];
+        var out = [];
+        var first = data.entries[0].ts, last = data.entries[data.entries.length - 1].ts;
+        for (var k = dayKey(first); k <= dayKey(last); k = shiftDay(k, 1)) {
+            var end = new Date(shiftDay(k, 1) + 'T00:00'), start = new Date(shiftDay(k, 1 - ROLL_DAYS) + 'T00:00');
+            var vals = data.entries.filter(function (e) { return e.ts >= start && e.ts < end && e.vals[key] != null; })
+                .map(function (e) { return e.vals[key]; });
+            if (vals.length) out.push({ day: new Date(k + 'T12:00'), mean: mean(vals), sd: sd(vals) || 0, n: vals.length });
+        }
+        return out;
+    }
+
+    /* Items whose last ROLL_DAYS days sit more than one SD from their level over the whole window */
+    function unusualRecent(data) {
+        if (!data.entries.length) return [];
+        var cutoff = new Date(shiftDay(dayKey(data.entries[data.entries.length - 1].ts), 1 - ROLL_DAYS) + 'T00:00');
+        return metrics().map(function (m) {
+            var all = data.entries.map(function (e) { return e.vals[m.key]; }).filter(function (x) { return x != null; });
+            var recent = data.entries.filter(function (e) { return e.ts >= cutoff && e.vals[m.key] != null; })
+                .map(function (e) { return e.vals[m.key]; });
+            var s = sd(all);
+            if (recent.length < MIN_GROUP_N || all.length < MIN_N || !s) return null;
+            var z = (mean(recent) - mean(all)) / s;
+            return Math.abs(z) >= 1 ? { metric: m, recent: mean(recent), usual: mean(all), sd: s, n: recent.length, z: z } : null;
+        }).filter(Boolean);
+    }
+
+    /* Mean ± 95% CI per group; `hit` marks groups whose CI excludes the overall mean */
+    function groupEffects(data, key, groups, groupOf) {
+        var all = data.entries.filter(function (e) { return e.vals[key] != null; });
+        var overall = mean(all.map(function (e) { return e.vals[key]; }));
+        var rows = groups.map(function (label, gi) {
+            var vals = all.filter(function (e) { return groupOf(e.ts) === gi; }).map(function (e) { return e.vals[key]; });
+            var m = mean(vals), s = sd(vals);
+            var half = s !== null ? Z95 * s / Math.sqrt(vals.length) : null;
+            var row = { label: label, n: vals.length, mean: m, lo: half !== null ? m - half : null, hi: half !== null ? m + half : null };
+            row.hit = vals.length >= MIN_GROUP_N && row.lo !== null && (row.lo > overall || row.hi < overall);
+            return row;
+        });
+        return { overall: overall, rows: rows };
+    }
+
+    function weekdayOf(ts) { return (ts.getDay() + 6) % 7; }
+
+    function daypartOf(ts) {
+        var h = ts.getHours();
+        for (var i = 0; i < DAYPARTS.length; i++) if (DAYPARTS[i].test(h)) return i;
+        return -1;
+    }
+
+    /* ================================================================
+       Plain-language findings
+       ================================================================ */
+    function fmtR(c) {
+        return 'r = ' + c.r.toFixed(2) + ', n = ' + c.n + ', 95% CI ' + c.lo.toFixed(2) + ' to ' + c.hi.toFixed(2);
+    }
+
+    function findings(data, corrs) {
+        var out = [];
+        corrs.filter(function (c) { return c.r !== null && c.p < 0.05; }).forEach(function (c) {
+            var when = c.lag ? 'the next day' : 'the same day';
+            var more = c.predictor === 'sleep' ? 'On days after more sleep' : 'On days with better intent alignment';
+            if (c.lag) more = c.predictor === 'sleep' ? 'After a longer night' : 'After a well-aligned day';
+            out.push({
+                weight: Math.abs(c.r),
+                text: more + ', ' + c.metric.label + ' tended to be ' + (c.r > 0 ? 'higher' : 'lower') + ' ' + when + ' (' + fmtR(c) + ').'
+            });
+        });
+        metrics().forEach(function (m) {
+            var wd = groupEffects(data, m.key, WEEKDAYS, weekdayOf);
+            wd.rows.filter(function (r) { return r.hit; }).forEach(function (r) {
+                out.push({
+                    weight: Math.abs(r.mean - wd.overall) / (sd(data.entries.map(function (e) { return e.vals[m.key]; }).filter(function (x) { return x != null; })) || 1) / 2,
+                    text: m.label + ' runs ' + (r.mean > wd.overall ? 'higher' : 'lower') + ' on ' + r.label + 'days: ' +
+                        r.mean.toFixed(1) + ' vs ' + wd.overall.toFixed(1) + ' overall (n = ' + r.n + ', 95% CI ' + r.lo.toFixed(1) + '–' + r.hi.toFixed(1) + ').'
+                });
+            });
+        });
+        unusualRecent(data).forEach(function (u) {
+            out.push({
+                weight: Math.abs(u.z) / 3,
+                text: 'Over the last ' + ROLL_DAYS + ' days ' + u.metric.label + ' averaged ' + u.recent.toFixed(1) + ', ' +
+                    Math.abs(u.z).toFixed(1) + ' SD ' + (u.z > 0 ? 'above' : 'below') + ' its usual ' + u.usual.toFixed(1) + ' (n = ' + u.n + ').'
+            });
+        });
+        return out.sort(function (a, b) { return b.weight - a.weight; }).slice(0, 8);
+    }
+
+    /* ================================================================
+       Rendering
+       ================================================================ */
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+
+    function injectStyles() {
+        if (document.getElementById('panas-insights-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-insights-css';
+        style.textContent = [
+            '.insights{margin-top:1rem;max-width:760px;font-size:12px;color:#444;}',
+            '.insights summary{cursor:pointer;font-size:14px;font-weight:600;color:#555;}',
+            '.insights h4{font-size:12px;margin:.9rem 0 .3rem;color:#555;}',
+            '.insights .ins-scope,.insights .ins-note{color:#999;}',
+            '.insights ol{margin:.2rem 0;padding-left:1.3rem;}',
+            '.insights ol li{margin:.2rem 0;}',
+            '.insights table{border-collapse:collapse;}',
+            '.insights th,.insights td{padding:.15rem .45rem;text-align:right;font-variant-numeric:tabular-nums;}',
+            '.insights th:first-child,.insights td:first-child{text-align:left;}',
+            '.insights .ins-corr td.r{min-width:3.2rem;border-radius:3px;}',
+            '.insights .ins-corr td.weak{color:#bbb;}',
+            '.insights td.hit{font-weight:700;}',
+            '.insights .ins-cols{display:flex;gap:1.5rem;flex-wrap:wrap;align-items:flex-start;}',
+            '.insights svg.ins-rolling{width:100%;height:150px;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function corrCell(c) {
+        if (c.r === null) return '<td class="r weak" title="n = ' + c.n + ' paired days (need ' + MIN_N + ')">–</td>';
+        var sig = c.p < 0.05;
+        var bg = sig ? (c.r > 0 ? 'rgba(42,119,170,' : 'rgba(192,57,43,') + (0.12 + Math.abs(c.r) * 0.5).toFixed(2) + ')' : 'transparent';
+        return '<td class="r' + (sig ? '' : ' weak') + '" style="background:' + bg + '" title="' + esc(fmtR(c) + ', p = ' + c.p.toFixed(3)) + '">' +
+            c.r.toFixed(2) + '</td>';
+    }
+
+    function corrTable(corrs) {
+        var cols = [['sleep', 0], ['sleep', 1], ['align', 0], ['align', 1]];
+        var head = '<tr><th></th>' + cols.map(function (c) {
+            return '<th>' + PREDICTORS[c[0]] + (c[1] ? ' → next day' : ' · same day') + '</th>';
+        }).join('') + '</tr>';
+        return '<table class="ins-corr">' + head + metrics().map(function (m) {
+            return '<tr><td>' + esc(m.label) + '</td>' + cols.map(function (c) {
+                return corrCell(corrs.filter(function (x) { return x.predictor === c[0] && x.lag === c[1] && x.metric.key === m.key; })[0]);
+            }).join('') + '</tr>';
+        }).join('') + '</table>';
+    }
+
+    function groupTable(title, eff) {
+        return '<table><tr><th>' + title + '</th><th>n</th><th>mean</th><th>95% CI</th></tr>' + eff.rows.map(function (r) {
+            return '<tr><td>' + r.label + '</td><td>' + r.n + '</td><td class="' + (r.hit ? 'hit' : '') + '">' +
+                (r.mean === null ? '–' : r.mean.toFixed(1)) + '</td><td>' +
+                (r.lo === null ? '–' : r.lo.toFixed(1) + '–' + r.hi.toFixed(1)) + '</td></tr>';
+        }).join('') + '<tr><td><i>overall</i></td><td></td><td>' + (eff.overall === null ? '–' : eff.overall.toFixed(1)) + '</td><td></td></tr></table>';
+    }
+
+    function renderGroups(data) {
+        var key = document.getElementById('ins-metric').value;
+        document.getElementById('ins-groups').innerHTML =
+            groupTable('Weekday', groupEffects(data, key, WEEKDAYS, weekdayOf)) +
+            groupTable('Time of day', groupEffects(data, key, DAYPARTS.map(function (d) { return d.label; }), daypartOf));
+    }
+
+    function drawRolling(data) {
+        var svg = d3.select('#ins-rolling');
+        svg.selectAll('*').remove();
+        var series = [
+            { key: 'positive_score', color: '#d4a017', label: 'Positive' },
+            { key: 'negative_score', color: '#7832a0', label: 'Negative' }
+        ].filter(function (s) {
+            return metrics().some(function (m) { return m.key === s.key; });
+        }).map(function (s) { s.pts = rolling(data, s.key); return s; });
+        var pts = [].concat.apply([], series.map(function (s) { return s.pts; }));
+        if (!pts.length) return;
+        var W = 760, H = 150, m = { l: 36, r: 80, t: 8, b: 22 };
+        svg.attr('viewBox', [0, 0, W, H]);
+        var x = d3.scaleTime().domain(d3.extent(pts, function (d) { return d.day; })).range([m.l, W - m.r]);
+        var sr = window.PanasInstruments.scoreRange(window.panasItems.instrument);
+        var y = d3.scaleLinear().domain([Math.min(sr.pos[0], sr.neg[0]), Math.max(sr.pos[1], sr.neg[1])]).range([H - m.b, m.t]);
+        svg.append('g').attr('transform', 'translate(0,' + (H - m.b) + ')').call(d3.axisBottom(x).ticks(6));
+        svg.append('g').attr('transform', 'translate(' + m.l + ',0)').call(d3.axisLeft(y).ticks(4));
+        series.forEach(function (s) {
+            svg.append('path').datum(s.pts).attr('fill', s.color).attr('opacity', 0.15)
+                .attr('d', d3.area().x(function (d) { return x(d.day); })
+                    .y0(function (d) { return y(d.mean - d.sd); }).y1(function (d) { return y(d.mean + d.sd); }));
+            svg.append('path').datum(s.pts).attr('fill', 'none').attr('stroke', s.color).attr('stroke-width', 1.8)
+                .attr('d', d3.line().x(function (d) { return x(d.day); }).y(function (d) { return y(d.mean); }));
+            var lastPt = s.pts[s.pts.length - 1];
+            svg.append('text').attr('x', W - m.r + 6).attr('y', y(lastPt.mean)).attr('dy', '.35em')
+                .attr('font-size', 11).attr('fill', s.color).text(s.label + ' ' + lastPt.mean.toFixed(1) + ' ± ' + lastPt.sd.toFixed(1));
+        });
+    }
+
+    function scopeLabel(r) {
+        if (!r.since && !r.until) return 'all entries';
+        return new Date(r.since).toLocaleDateString() + ' – ' + (r.until ? new Date(r.until).toLocaleDateString() : 'now');
+    }
+
+    function render() {
+        var body = document.getElementById('ins-body');
+        if (!body) return;
+        var r = window.panasGetRange ? window.panasGetRange() : { since: null, until: null };
+        var data = load(r.since || '', r.until || '9999');
+        var corrs = correlations(data);
+        var found = findings(data, corrs);
+        var days = Object.keys(data.daily).length;
+        var prevMetric = document.getElementById('ins-metric') ? document.getElementById('ins-metric').value : 'negative_score';
+
+        body.innerHTML =
+            '<div class="ins-scope">' + esc(scopeLabel(r)) + ' · ' + data.entries.length + ' entries on ' + days + ' day(s) · ' +
+            Object.keys(data.sleep).length + ' night(s) of sleep · ' + Object.keys(data.align).length + ' day(s) with check-ins</div>' +
+            '<h4>Strongest relationships</h4>' +
+            (found.length ? '<ol>' + found.map(function (f) { return '<li>' + esc(f.text) + '</li>'; }).join('') + '</ol>'
+                : '<div class="ins-note">Nothing stands out yet' + (days < MIN_N ? ' — widen the date range or keep logging (correlations need ' + MIN_N + '+ paired days).' : '.') + '</div>') +
+            '<div class="ins-note">Correlation is not causation. Around ' + corrs.filter(function (c) { return c.r !== null; }).length +
+            ' correlations are tested here, so at 95% confidence a few "significant" ones are expected by chance.</div>' +
+            '<h4>Sleep &amp; alignment vs affect (Pearson r per day; shaded = 95% CI excludes 0, hover for n and CI)</h4>' + corrTable(corrs) +
+            '<h4>Rolling ' + ROLL_DAYS + '-day mean ± SD</h4><svg id="ins-rolling" class="ins-rolling"></svg>' +
+            '<h4>Weekday &amp; time of day <select id="ins-metric">' + metrics().map(function (m) {
+                return '<option value="' + esc(m.key) + '">' + esc(m.label) + '</option>';
+            }).join('') + '</select> <span class="ins-note">bold = 95% CI excludes the overall mean</span></h4>' +
+            '<div id="ins-groups" class="ins-cols"></div>';
+
+        var sel = document.getElementById('ins-metric');
+        sel.value = prevMetric;
+        if (!sel.value) sel.selectedIndex = 0;   // metric not in this questionnaire
+        sel.onchange = function () { renderGroups(data); };
+        renderGroups(data);
+        drawRolling(data);
+    }
+
+    function scheduleRender() {
+        var panel = document.getElementById('insights');
+        if (!panel || !panel.open) return;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(render, 400);
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('insights-anchor');
+        if (!anchor || document.getElementById('insights')) return;
+        injectStyles();
+        var panel = document.createElement('details');
+        panel.id = 'insights';
+        panel.className = 'insights';
+        panel.innerHTML = '<summary>Insights</summary><div id="ins-body"></div>';
+        anchor.appendChild(panel);
+        panel.addEventListener('toggle', function () { if (panel.open) render(); });
+        window.addEventListener('panas-range-change', scheduleRender);
+        window.addEventListener('panas-values-change', scheduleRender);
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        render: render,
+        pearson: pearson,
+        fisher: fisher
+    };
+})();
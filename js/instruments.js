@@ -0,0 +1,422 @@
+/**
+ * PanasInstruments — questionnaire registry (PANAS-20, I-PANAS-SF, custom item sets)
+ *
+ * An instrument is a named list of items, each on the positive, negative or
+ * other subscale, rated on an integer scale (scale_min..scale_max). The two
+ * built-ins live here in code; custom ones are rows of the synced
+ * `instruments` table (schema.js v4).
+ *
+ * Every entry records the uid of the exact instrument it was rated with and
+ * its ratings as JSON ({ item: value }), so the schema does not change when
+ * items do. Changing the items or scale of a custom instrument that already
+ * has entries saves a new version in the same family instead of rewriting
+ * it; charts show the whole family, and each entry keeps the definition it
+ * was rated with. PANAS-20 entries also keep filling the legacy per-item
+ * columns so older tools can still read the file.
+ *
+ *   list(db)               → live instruments (built-ins, then the latest version of each custom family)
+ *   get(db, uid)           → any version, or null
+ *   named(db, name)        → the version label() calls `name` (or with that uid), live ones first, or null
+ *   active(db), setActive(uid)
+ *   where(db, def)         → { sql, params } selecting entries of def's family
+ *   ratings(json), score(def, values), scoreRange(def), midpoint(def)
+ *   entryColumns(def, values) → { cols, vals } for INSERT / UPDATE of an entry
+ *   save(db, def), remove(db, family)
+ *
+ * Loaded before the main script; depends on window.PanasSchema. The picker is
+ * injected into #instrument-anchor once 'panas-db-ready' fires and switches
+ * the dashboard through window.panasSetInstrument(def).
+ */
+window.PanasInstruments = (function () {
+    'use strict';
+
+    var DEFAULT_UID = 'panas-20';
+    var LS_ACTIVE = 'panas_instrument';
+    var SUBSCALES = { positive: 'Positive', negative: 'Negative', other: 'Other' };
+    var MIN_ITEMS = 3;
+    var MAX_ITEMS = 40;
+    var MAX_STEPS = 10;     // scale_max - scale_min; one windrose ring per point
+
+    var PANAS_POS = [1, 3, 5, 9, 10, 12, 14, 16, 17, 19];
+
+    /* Thompson (2007) international short form */
+    var IPANAS_SF = [['Upset', 'negative'], ['Hostile', 'negative'], ['Alert', 'positive'], ['Ashamed', 'negative'],
+        ['Inspired', 'positive'], ['Nervous', 'negative'], ['Determined', 'positive'], ['Attentive', 'positive'],
+        ['Afraid', 'negative'], ['Active', 'positive']];
+
+    var BUILTIN = [
+        {
+            uid: DEFAULT_UID, family: DEFAULT_UID, version: 1, name: 'PANAS-20', builtin: true, scale_min: 1, scale_max: 5,
+            items: window.PanasSchema.PANAS_ITEMS.map(function (n, i) {
+                return { name: n, subscale: PANAS_POS.indexOf(i + 1) >= 0 ? 'positive' : 'negative' };
+            })
+        },
+        {
+            uid: 'i-panas-sf', family: 'i-panas-sf', version: 1, name: 'I-PANAS-SF', builtin: true, scale_min: 1, scale_max: 5,
+            items: IPANAS_SF.map(function (p) { return { name: p[0], subscale: p[1] }; })
+        }
+    ];
+
+    /* ================================================================
+       Registry
+       ================================================================ */
+    var ROW_COLS = ['uid', 'family', 'version', 'name', 'items', 'scale_min', 'scale_max', 'deleted'];
+
+    function fromRow(v) {
+        var items;
+        try { items = JSON.parse(v[4]); } catch (_) { items = []; }
+        return {
+            uid: v[0], family: v[1] || v[0], version: v[2] || 1, name: v[3], items: Array.isArray(items) ? items : [],
+            scale_min: v[5], scale_max: v[6], deleted: !!v[7], builtin: false
+        };
+    }
+
+    function rows(db, where, params) {
+        try {
+            var res = db.exec('SELECT ' + ROW_COLS.join(',') + ' FROM instruments' + (where ? ' WHERE ' + where : '') +
+                ' ORDER BY name, version', params || []);
+            return res.length ? res[0].values.map(fromRow) : [];
+        } catch (_) { return []; }   // not migrated yet
+    }
+
+    function list(db) {
+        var latest = {};
+        rows(db, 'deleted=0').forEach(function (d) {
+            if (!latest[d.family] || d.version > latest[d.family].version) latest[d.family] = d;
+        });
+        return BUILTIN.concat(Object.keys(latest).map(function (f) { return latest[f]; }));
+    }
+
+    function get(db, uid) {
+        for (var i = 0; i < BUILTIN.length; i++) if (BUILTIN[i].uid === uid) return BUILTIN[i];
+        return rows(db, 'uid=?', [uid])[0] || null;
+    }
+
+    /* Copy JSON names an entry's instrument by label(), falling back to its uid */
+    function named(db, name) {
+        var all = BUILTIN.concat(rows(db, 'deleted=0'), rows(db, 'deleted=1'));
+        for (var i = 0; i < all.length; i++) if (label(all[i]) === name || all[i].uid === name) return all[i];
+        return null;
+    }
+
+    function latestOf(db, family) {
+        return list(db).filter(function (d) { return d.family === family; })[0] || null;
+    }
+
+    function active(db) {
+        var d = get(db, localStorage.getItem(LS_ACTIVE));
+        return (d && latestOf(db, d.family)) || get(db, DEFAULT_UID);
+    }
+
+    function setActive(uid) {
+        localStorage.setItem(LS_ACTIVE, uid);
+    }
+
+    function label(d) {
+        return d.name + (d.version > 1 ? ' (v' + d.version + ')' : '');
+    }
+
+    /* Entries of every version of def's family */
+    function where(db, def) {
+        var uids = def.builtin ? [def.uid] : rows(db, 'family=?', [def.family]).map(function (d) { return d.uid; });
+        if (uids.indexOf(def.uid) < 0) uids.push(def.uid);
+        return { sql: 'instrument IN (' + uids.map(function () { return '?'; }).join(',') + ')', params: uids };
+    }
+
+    /* ================================================================
+       Scoring
+       ================================================================ */
+    function ratings(json) {
+        if (!json) return {};
+        try { var o = JSON.parse(json); return o && typeof o === 'object' ? o : {}; } catch (_) { return {}; }
+    }
+
+    function names(def, subscale) {
+        return def.items.filter(function (it) { return it.subscale === subscale; }).map(function (it) { return it.name; });
+    }
+
+    /* Subscale sums; null for a subscale the instrument doesn't have */
+    function score(def, values) {
+        var sum = function (sub) {
+            var ns = names(def, sub);
+            return ns.length ? ns.reduce(function (s, n) { return s + values[n]; }, 0) : null;
+        };
+        return { posScore: sum('positive'), negScore: sum('negative') };
+    }
+
+    function scoreRange(def) {
+        var p = names(def, 'positive').length, n = names(def, 'negative').length;
+        return { pos: [p * def.scale_min, p * def.scale_max], neg: [n * def.scale_min, n * def.scale_max] };
+    }
+
+    function midpoint(def) {
+        return Math.round((def.scale_min + def.scale_max) / 2);
+    }
+
+    function entryColumns(def, values) {
+        var r = {};
+        def.items.forEach(function (it) { r[it.name] = values[it.name]; });
+        var cols = ['instrument', 'ratings'], vals = [def.uid, JSON.stringify(r)];
+        if (def.uid === DEFAULT_UID) {
+            def.items.forEach(function (it) { cols.push(it.name); vals.push(values[it.name]); });
+        }
+        return { cols: cols, vals: vals };
+    }
+
+    /* ================================================================
+       Editing
+       ================================================================ */
+    function validate(def) {
+        if (!def.name || !def.name.trim()) return 'Give the questionnaire a name.';
+        if (!Number.isInteger(def.scale_min) || !Number.isInteger(def.scale_max) || def.scale_min < 0 ||
+            def.scale_max <= def.scale_min || def.scale_max - def.scale_min > MAX_STEPS) {
+            return 'The rating range must be whole numbers from 0 upwards, spanning 1 to ' + MAX_STEPS + ' steps (e.g. 1–5 or 0–10).';
+        }
+        if (def.items.length < MIN_ITEMS || def.items.length > MAX_ITEMS) return 'Use between ' + MIN_ITEMS + ' and ' + MAX_ITEMS + ' items.';
+        var seen = {};
+        for (var i = 0; i < def.items.length; i++) {
+            var n = def.items[i].name;
+            if (!n) return 'Item ' + (i + 1) + ' has no name.';
+            if (seen[n.toLowerCase()]) return '"' + n + '" appears twice.';
+            if (!SUBSCALES[def.items[i].subscale]) return '"' + n + '" has no subscale.';
+            seen[n.toLowerCase()] = true;
+        }
+        return null;
+    }
+
+    function sameShape(a, b) {
+        return a.scale_min === b.scale_min && a.scale_max === b.scale_max && JSON.stringify(a.items) === JSON.stringify(b.items);
+    }
+
+    function used(db, uid) {
+        var res = db.exec('SELECT COUNT(*) FROM entries WHERE instrument=?', [uid]);
+        return res[0].values[0][0];
+    }
+
+    /**
+     * Create or update a custom instrument; returns the saved definition. An
+     * existing one whose items or scale change becomes a new version when
+     * entries (tombstones included, they can be restored) were rated with it.
+     */
+    function save(db, def) {
+        var err = validate(def);
+        if (err) throw new Error(err);
+        var now = new Date().toISOString();
+        var items = JSON.stringify(def.items.map(function (it) { return { name: it.name, subscale: it.subscale }; }));
+        var prev = def.uid ? get(db, def.uid) : null;
+        if (prev && prev.builtin) throw new Error(prev.name + ' is built in; duplicate it to make changes.');
+
+        if (prev && (sameShape(prev, def) || !used(db, prev.uid))) {
+            db.run('UPDATE instruments SET name=?, items=?, scale_min=?, scale_max=?, updated_at=? WHERE uid=?',
+                [def.name.trim(), items, def.scale_min, def.scale_max, now, prev.uid]);
+            return get(db, prev.uid);
+        }
+        var uid = window.panasNewUid();
+        db.run('INSERT INTO instruments (uid, family, version, name, items, scale_min, scale_max, ts, updated_at) VALUES (?,?,?,?,?,?,?,?,?)',
+            [uid, prev ? prev.family : uid, prev ? prev.version + 1 : 1, def.name.trim(), items, def.scale_min, def.scale_max, now, now]);
+        return get(db, uid);
+    }
+
+    /* Tombstone a whole family; refused while live entries use it so they stay readable */
+    function remove(db, family) {
+        var w = where(db, latestOf(db, family));
+        var n = db.exec('SELECT COUNT(*) FROM entries WHERE deleted=0 AND ' + w.sql, w.params)[0].values[0][0];
+        if (n) throw new Error(n + ' entr' + (n === 1 ? 'y uses' : 'ies use') + ' this questionnaire; it can only be removed once they are deleted.');
+        db.run('UPDATE instruments SET deleted=1, updated_at=? WHERE family=?', [new Date().toISOString(), family]);
+    }
+
+    /* ================================================================
+       Picker + editor dialog
+       ================================================================ */
+    var draft = null;   // definition being edited in the dialog
+
+    function injectStyles() {
+        if (document.getElementById('panas-instruments-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-instruments-css';
+        style.textContent = [
+            '.qn-bar{display:flex;gap:.5rem;align-items:center;margin:.3rem 0;font-size:13px;color:#555;}',
+            '.qn-bar select{font-size:13px;padding:.2rem .4rem;}',
+            '.qn-bar button{padding:.2rem .6rem;font-size:12px;}',
+            '#qn-overlay{position:fixed;inset:0;background:rgba(0,0,0,.35);display:flex;align-items:flex-start;justify-content:center;z-index:1000;overflow:auto;padding:2rem 1rem;}',
+            '#qn-dialog{background:#fff;border-radius:10px;max-width:600px;width:100%;padding:1rem 1.2rem;font-size:13px;box-shadow:0 6px 30px rgba(0,0,0,.2);}',
+            '#qn-dialog h3{margin:.1rem 0 .6rem;}',
+            '#qn-dialog .qn-list{display:flex;gap:.35rem;flex-wrap:wrap;margin-bottom:.7rem;}',
+            '#qn-dialog .qn-list button.active{background:#333;color:#fff;}',
+            '#qn-dialog .qn-meta{display:flex;gap:.8rem;align-items:center;flex-wrap:wrap;margin-bottom:.5rem;}',
+            '#qn-dialog .qn-meta input[type=number]{width:3.5rem;}',
+            '#qn-dialog .qn-items{max-height:320px;overflow:auto;border:1px solid #eee;border-radius:6px;padding:.4rem;}',
+            '#qn-dialog .qn-item{display:flex;gap:.4rem;align-items:center;margin:.15rem 0;}',
+            '#qn-dialog .qn-item input{flex:1;}',
+            '#qn-dialog .qn-note{color:#888;font-size:12px;margin:.4rem 0;}',
+            '#qn-dialog .qn-err{color:#d9534f;min-height:1.2em;margin:.3rem 0;}',
+            '#qn-dialog .qn-actions{display:flex;gap:.5rem;justify-content:flex-end;margin-top:.6rem;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+    function renderPicker() {
+        var sel = document.getElementById('qn-select');
+        if (!sel) return;
+        var db = window.panasDB, cur = active(db);
+        sel.innerHTML = list(db).map(function (d) {
+            return '<option value="' + esc(d.uid) + '">' + esc(label(d)) + ' · ' + d.items.length + ' items</option>';
+        }).join('');
+        sel.value = cur.uid;
+    }
+
+    function use(def) {
+        setActive(def.uid);
+        renderPicker();
+        if (window.panasSetInstrument) window.panasSetInstrument(def);
+    }
+
+    function closeDialog() {
+        var o = document.getElementById('qn-overlay');
+        if (o) o.remove();
+        draft = null;
+    }
+
+    function edit(def) {
+        draft = JSON.parse(JSON.stringify(def));
+        if (def.builtin) {
+            draft = { uid: null, name: def.name + ' (copy)', scale_min: def.scale_min, scale_max: def.scale_max, items: draft.items };
+        }
+        renderDialog();
+    }
+
+    function renderDialog() {
+        var db = window.panasDB;
+        var o = document.getElementById('qn-overlay');
+        if (!o) {
+            o = document.createElement('div');
+            o.id = 'qn-overlay';
+            document.body.appendChild(o);
+        }
+        var subOpts = Object.keys(SUBSCALES).map(function (k) { return '<option value="' + k + '">' + SUBSCALES[k] + '</option>'; }).join('');
+        var versioned = draft.uid && used(db, draft.uid);
+        o.innerHTML =
+            '<div id="qn-dialog" role="dialog" aria-label="Questionnaires">' +
+            '<h3>Questionnaires</h3>' +
+            '<div class="qn-list">' + list(db).map(function (d) {
+                return '<button data-uid="' + esc(d.uid) + '" class="' + (d.uid === draft.uid ? 'active' : '') + '">' +
+                    esc(label(d)) + (d.builtin ? ' 🔒' : '') + '</button>';
+            }).join('') + '<button id="qn-new">+ New</button></div>' +
+            '<div class="qn-meta">' +
+            '  <label>Name <input id="qn-name" type="text" maxlength="60"></label>' +
+            '  <label>Ratings from <input id="qn-min" type="number" step="1" min="0"> to <input id="qn-max" type="number" step="1" min="1"></label>' +
+            '</div>' +
+            '<div class="qn-items" id="qn-items">' + draft.items.map(function (it, i) {
+                return '<div class="qn-item"><input type="text" data-i="' + i + '" maxlength="40" value="' + esc(it.name) + '">' +
+                    '<select data-i="' + i + '">' + subOpts + '</select>' +
+                    '<button data-remove="' + i + '" title="Remove item">✕</button></div>';
+            }).join('') + '</div>' +
+            '<button id="qn-add-item">+ Add item</button>' +
+            '<div class="qn-note">' + (versioned
+                ? 'Entries were rated with this version. Changing its items or rating range saves a new version; existing entries keep the one they were rated with.'
+                : 'Positive and negative items are summed into the positive / negative scores shown in the balance chart; other items are charted but not scored.') + '</div>' +
+            '<div class="qn-err" id="qn-err"></div>' +
+            '<div class="qn-actions">' +
+            (draft.uid ? '<button id="qn-delete" class="danger">Remove</button>' : '') +
+            '<button id="qn-close">Close</button><button id="qn-save">Save &amp; use</button></div>' +
+            '</div>';
+
+        document.getElementById('qn-name').value = draft.name;
+        document.getElementById('qn-min').value = draft.scale_min;
+        document.getElementById('qn-max').value = draft.scale_max;
+        o.querySelectorAll('.qn-item select').forEach(function (s) { s.value = draft.items[+s.dataset.i].subscale; });
+
+        o.querySelectorAll('.qn-list button[data-uid]').forEach(function (b) {
+            b.onclick = function () { readForm(); edit(get(db, b.dataset.uid)); };
+        });
+        document.getElementById('qn-new').onclick = function () {
+            edit({ uid: null, name: '', scale_min: 1, scale_max: 5, items: [{ name: '', subscale: 'positive' }] });
+        };
+        document.getElementById('qn-add-item').onclick = function () {
+            readForm();
+            draft.items.push({ name: '', subscale: 'other' });
+            renderDialog();
+            var inputs = o.querySelectorAll('.qn-item input');
+            inputs[inputs.length - 1].focus();
+        };
+        o.querySelectorAll('[data-remove]').forEach(function (b) {
+            b.onclick = function () { readForm(); draft.items.splice(+b.dataset.remove, 1); renderDialog(); };
+        });
+        document.getElementById('qn-close').onclick = closeDialog;
+        document.getElementById('qn-save').onclick = function () {
+            readForm();
+            try {
+                var saved = save(db, draft);
+                window.panasPersist();
+                closeDialog();
+                use(saved);
+            } catch (e) {
+                document.getElementById('qn-err').textContent = e.message;
+            }
+        };
+        var del = document.getElementById('qn-delete');
+        if (del) del.onclick = function () {
+            if (!confirm('Remove "' + draft.name + '"?')) return;
+            try {
+                remove(db, draft.family);
+                window.panasPersist();
+                closeDialog();
+                if (active(db).family !== draft.family) renderPicker();
+                else use(get(db, DEFAULT_UID));
+            } catch (e) {
+                document.getElementById('qn-err').textContent = e.message;
+            }
+        };
+    }
+
+    function readForm() {
+        if (!draft || !document.getElementById('qn-name')) return;
+        draft.name = document.getElementById('qn-name').value;
+        draft.scale_min = parseInt(document.getElementById('qn-min').value, 10);
+        draft.scale_max = parseInt(document.getElementById('qn-max').value, 10);
+        document.querySelectorAll('#qn-items .qn-item').forEach(function (row, i) {
+            draft.items[i] = { name: row.querySelector('input').value.trim(), subscale: row.querySelector('select').value };
+        });
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('instrument-anchor');
+        if (!anchor || document.getElementById('qn-select')) return;
+        injectStyles();
+        anchor.innerHTML =
+            '<div class="qn-bar"><label for="qn-select">Questionnaire</label> <select id="qn-select"></select>' +
+            ' <button id="qn-manage">Edit…</button></div>';
+        renderPicker();
+        document.getElementById('qn-select').onchange = function () { use(get(window.panasDB, this.value)); };
+        document.getElementById('qn-manage').onclick = function () { edit(active(window.panasDB)); };
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        DEFAULT_UID: DEFAULT_UID,
+        BUILTIN: BUILTIN,
+        list: list,
+        get: get,
+        named: named,
+        active: active,
+        setActive: setActive,
+        label: label,
+        where: where,
+        ratings: ratings,
+        score: score,
+        scoreRange: scoreRange,
+        midpoint: midpoint,
+        entryColumns: entryColumns,
+        validate: validate,
+        save: save,
+        remove: remove,
+        renderPicker: renderPicker
+    };
+})();
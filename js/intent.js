@@ -1,14 +1,31 @@
 /**
  * Intent Calibration & Alignment Layer
  *
- * Lightweight 3-hour check-in system with:
+ * Lightweight check-in system (every 3 hours by default) with:
  *   – Retrospective / prospective free-text inputs
- *   – Alignment scoring (sentence-embedding cosine similarity, text-overlap fallback)
- *   – Gentle drift feedback
+ *   – Goals (intent_goals): one active target direction kept across check-ins,
+ *     archived or marked done when it changes, with a history and per-goal chart
+ *   – Alignment scoring through js/embeddings.js (a selectable sentence-embedding
+ *     model, BM25 keyword weighting as fallback); each check-in records the
+ *     model behind its vectors and scores (embedding_model), and the history
+ *     can be re-scored under the current one
+ *   – Gentle drift feedback: a flagged check-in asks whether the shift was
+ *     intentional or reactive (drift_response + optional drift_note), and
+ *     the last few weeks' answers are summarised
+ *   – Backdated check-ins: the time picker (js/timestamps.js) sets ts, and
+ *     alignment is then scored against the check-in before that time (and
+ *     the next check-in re-scored against it)
  *   – Collapse early-warning heuristic
+ *   – Settings panel: interval, per-weekday prompt windows / quiet days,
+ *     drift threshold, trend look-back, polling and snooze. Stored as
+ *     'intent.<knob>' keys via js/settings.js, so they sync; changes apply
+ *     live (notify loop restarted, charts and warning redrawn).
+ *
+ * Tables are created by js/schema.js (intent_checkins, intent_goals, collapse_warnings).
  *
  * Depends on window.panasDB  (sql.js Database)
- *         and window.panasPersist (function to flush DB to localStorage)
+ *         and window.panasPersist (function to flush DB to storage)
+ *         and window.PanasSettings, window.PanasEmbeddings, window.PanasTime, window.PanasSleep
  *
  * Fires a 'panas-db-ready' CustomEvent when those are available.
  */
@@ -22,184 +39,169 @@
         intervalHours: 3,
         windowStart: 8,      // earliest hour for check-in prompts
         windowEnd: 20,     // latest  hour for check-in prompts
+        windows: null,      // per weekday (Sunday first): [start, end) hours, or null for a quiet day
+        snoozeUntil: null,      // ISO; no prompts before then
         alignThreshold: 0.35,   // below this → drift flag
         driftWindowBlocks: 5,      // look-back for alignment trend
+        driftSummaryWeeks: 4,   // weeks covered by the drift-reflection summary
         pollMs: 5 * 60 * 1000,  // how often to check if check-in is due
         lsLastNotify: 'intent_last_notify',
+
+        /* collapse early warning */
+        collapseDays: 7,        // rolling window for all three signals
+        collapseMinFlags: 2,    // flags needed before suggesting a downshift
+        sleepAvgMin: 6.5,       // mean nightly sleep below this → sleep flag
+        shortNightHours: 6,     // a night below this counts as short…
+        shortNightsMax: 3,      // …and this many short nights → sleep flag
+        negScoreHigh: 25,       // mean negative_score (10–50) at/above this → strain flag
+        negScoreRise: 5,        // …or this much higher than the previous window
+        arousalHigh: 3,         // mean of high-arousal negative items (1–5) at/above this → strain flag
+        driftFlagsMax: 2,       // drift flags in the window at/above this → alignment flag
     };
 
+    CFG.windows = [0, 1, 2, 3, 4, 5, 6].map(function () { return [CFG.windowStart, CFG.windowEnd]; });
+    const DEFAULTS = JSON.parse(JSON.stringify(CFG));
+
+    /* The knobs the settings panel edits; the rest stay code-level */
+    const SETTING_KEYS = ['intervalHours', 'windows', 'alignThreshold', 'driftWindowBlocks', 'pollMs', 'snoozeUntil'];
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    /* drift_response values → labels */
+    const DRIFT_RESPONSES = { intentional: 'Intentional', reactive: 'Reactive', unsure: 'Not sure' };
+
+    /* High-arousal negative PANAS items (activated distress, as opposed to Guilty / Ashamed) */
+    const AROUSAL_ITEMS = ['Distressed', 'Upset', 'Scared', 'Hostile', 'Irritable', 'Nervous', 'Jittery', 'Afraid'];
+
     let db, persist;
-    let embedModel = null;
-    let embeddingsReady = false;
-    let embeddingsLoading = false;
+    let rescoring = false;
 
     /* ===================================================================
        DB helpers
        =================================================================== */
-    function initSchema() {
-        db.exec(`CREATE TABLE IF NOT EXISTS intent_checkins (
-            id                  INTEGER PRIMARY KEY AUTOINCREMENT,
-            ts                  TEXT NOT NULL,
-            retrospective       TEXT DEFAULT '',
-            prospective         TEXT DEFAULT '',
-            target_words        TEXT DEFAULT '',
-            hours_slept         REAL,
-            alignment_retro     REAL,
-            alignment_prospect  REAL,
-            drift_flag          INTEGER DEFAULT 0,
-            retro_embedding     TEXT,
-            prospect_embedding  TEXT,
-            target_embedding    TEXT
-        )`);
-        persist();
-    }
-
     function rowToObj(cols, row) {
         var o = {};
         cols.forEach(function (c, i) { o[c] = row[i]; });
         return o;
     }
 
-    function getLastCheckin() {
-        var res = db.exec('SELECT * FROM intent_checkins ORDER BY id DESC LIMIT 1');
+    /* The latest check-in, or the latest one before `beforeTs` (a backdated check-in) */
+    function getLastCheckin(beforeTs) {
+        var res = db.exec('SELECT * FROM intent_checkins WHERE deleted = 0 AND ts < ? ORDER BY ts DESC LIMIT 1', [beforeTs || '9999']);
         if (!res.length || !res[0].values.length) return null;
         return rowToObj(res[0].columns, res[0].values[0]);
     }
 
     function getRecentCheckins(n) {
         n = n || 10;
-        var res = db.exec('SELECT * FROM intent_checkins ORDER BY id DESC LIMIT ' + n);
+        var res = db.exec('SELECT * FROM intent_checkins WHERE deleted = 0 ORDER BY ts DESC LIMIT ' + n);
         if (!res.length) return [];
         var cols = res[0].columns;
         return res[0].values.map(function (r) { return rowToObj(cols, r); });
     }
 
     /* ===================================================================
-       Embeddings  (Transformers.js via dynamic import → text-overlap fallback)
+       Embeddings  (js/embeddings.js: a Transformers.js model, BM25 meanwhile / as fallback)
        =================================================================== */
     async function initEmbeddings() {
-        if (embeddingsLoading) return;
-        embeddingsLoading = true;
-        try {
-            /* Dynamic import works from http(s):// served pages.
-               From file:// it will throw — that's fine, we fall back. */
-            var mod = await import('https://cdn.jsdelivr.net/npm/@huggingface/transformers@3');
-            embedModel = await mod.pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
-                progress_callback: function (p) {
-                    if (p.status === 'progress') {
-                        setStatus('Loading model… ' + (p.progress || 0).toFixed(0) + '%');
-                    }
-                }
-            });
-            embeddingsReady = true;
-            updateEmbedBadge(true);
+        updateEmbedBadge();
+        var cur = await window.PanasEmbeddings.load(function (pct) {
+            setStatus('Loading model… ' + pct.toFixed(0) + '%');
+        });
+        if (cur.semantic) {
             setStatus('');
-            console.log('Intent: Embedding model loaded (semantic similarity active)');
-        } catch (e) {
-            embeddingsReady = false;
-            updateEmbedBadge(false);
-            console.warn('Intent: Embedding model unavailable – using text-overlap fallback.', e.message);
+            console.log('Intent: ' + cur.modelId + ' loaded (semantic similarity active)');
         }
-        embeddingsLoading = false;
+        updateEmbedBadge();
+        renderModelSettings();
     }
 
-    function updateEmbedBadge(ok) {
+    function updateEmbedBadge() {
         var el = document.getElementById('embed-status');
         if (!el) return;
-        el.textContent = ok
-            ? '✓ semantic similarity'
-            : '○ text overlap (serve via http for semantic)';
-        el.style.color = ok ? '#2a7' : '#999';
+        var cur = window.PanasEmbeddings.current();
+        el.textContent = cur.loading ? '… loading model (BM25 meanwhile)'
+            : cur.semantic ? '✓ semantic similarity (' + cur.label + ')'
+                : '○ BM25 keywords' + (cur.error ? ' (model unavailable — serve via http or use local files)' : '');
+        el.title = cur.error || '';
+        el.style.color = cur.semantic ? '#2a7' : '#999';
     }
 
-    async function getEmbedding(text) {
-        if (!text || !text.trim() || !embeddingsReady || !embedModel) return null;
-        try {
-            var out = await embedModel(text, { pooling: 'mean', normalize: true });
-            return Array.from(out.data);
-        } catch (e) { return null; }
+    /* BM25 weighs words by how rare they are across all check-in texts */
+    function refreshCorpus() {
+        var r = db.exec('SELECT retrospective, prospective FROM intent_checkins WHERE deleted = 0');
+        var texts = [];
+        if (r.length) r[0].values.forEach(function (v) { texts.push(v[0], v[1]); });
+        window.PanasEmbeddings.setCorpus(texts);
     }
 
-    /* ---- vector math ------------------------------------------------- */
-    function cosineSim(a, b) {
-        if (!a || !b || a.length !== b.length) return null;
-        var dot = 0, nA = 0, nB = 0;
-        for (var i = 0; i < a.length; i++) {
-            dot += a[i] * b[i];
-            nA += a[i] * a[i];
-            nB += b[i] * b[i];
-        }
-        var denom = Math.sqrt(nA) * Math.sqrt(nB);
-        return denom === 0 ? 0 : dot / denom;
-    }
-
-    /* ---- bag-of-words fallback --------------------------------------- */
-    var STOPS = new Set(
-        'the a an is it to in on for of and or i my me was did do be this that with have has had not but at by from so'.split(' ')
-    );
-    function tokenize(s) {
-        return s.toLowerCase().split(/\W+/).filter(function (w) { return w.length > 1 && !STOPS.has(w); });
-    }
-    function textOverlapSim(a, b) {
-        if (!a || !b || !a.trim() || !b.trim()) return null;
-        var tokA = tokenize(a), tokB = tokenize(b);
-        if (!tokA.length || !tokB.length) return null;
-        var vocabArr = Array.from(new Set(tokA.concat(tokB)));
-        var vecA = vocabArr.map(function (w) { return tokA.filter(function (t) { return t === w; }).length; });
-        var vecB = vocabArr.map(function (w) { return tokB.filter(function (t) { return t === w; }).length; });
-        return cosineSim(vecA, vecB);
+    /* A check-in's stored vector, only if `model` produced it */
+    function storedVector(row, col, model) {
+        if (!row[col] || row.embedding_model !== model) return null;
+        try { return JSON.parse(row[col]); } catch (_) { return null; }   // corrupt embedding
     }
 
     /* ===================================================================
        Alignment scoring
        =================================================================== */
-    async function computeAlignment(retro, prospect, target) {
-        var prev = getLastCheckin();
-        var alignRetro = null, alignProspect = null;
-        var retroEmbed = null, prospectEmbed = null, targetEmbed = null;
-
-        if (embeddingsReady) {
-            retroEmbed = await getEmbedding(retro);
-            prospectEmbed = await getEmbedding(prospect);
-            targetEmbed = await getEmbedding(target);
-
-            if (prev && prev.prospect_embedding) {
-                try {
-                    var prevEmbed = JSON.parse(prev.prospect_embedding);
-                    alignRetro = cosineSim(prevEmbed, retroEmbed);
-                } catch (_) { /* corrupt embedding */ }
-            }
-            if (targetEmbed && prospectEmbed) {
-                alignProspect = cosineSim(targetEmbed, prospectEmbed);
-            }
-        } else {
-            if (prev && prev.prospective && retro) {
-                alignRetro = textOverlapSim(prev.prospective, retro);
-            }
-            if (target && prospect) {
-                alignProspect = textOverlapSim(target, prospect);
-            }
+    /* alignRetro: previous intent (before `ts`, default now) → this retrospective; alignProspect / alignGoal:
+       this prospective / retrospective → the goal (`target`, '' without one).
+       All under the current backend; the previous intent's stored vector is
+       reused only if that backend made it. */
+    async function computeAlignment(retro, prospect, target, ts) {
+        var E = window.PanasEmbeddings;
+        var cur = E.current();
+        var prev = getLastCheckin(ts);
+        var retroVec = await E.vector(retro);
+        var prospectVec = await E.vector(prospect);
+        var targetVec = await E.vector(target);
+        var alignRetro = null;
+        if (prev && prev.prospective && retroVec) {
+            alignRetro = E.similarity(storedVector(prev, 'prospect_embedding', cur.modelId) || await E.vector(prev.prospective), retroVec);
         }
-
+        var keep = function (v) { return cur.semantic ? v : null; };
         return {
             alignRetro: alignRetro,
-            alignProspect: alignProspect,
-            retroEmbed: retroEmbed,
-            prospectEmbed: prospectEmbed,
-            targetEmbed: targetEmbed
+            alignProspect: E.similarity(targetVec, prospectVec),
+            alignGoal: E.similarity(targetVec, retroVec),
+            retroEmbed: keep(retroVec),
+            prospectEmbed: keep(prospectVec),
+            targetEmbed: keep(targetVec),
+            model: cur.modelId
         };
     }
 
+    /* A check-in backdated before another one becomes that one's previous intent:
+       re-score the next check-in's alignRetro and drift flag against `prospect`
+       as rescoreHistory would (its drift response stays). → true if it changed */
+    async function rescoreFollowing(ts, prospect, prospectVec, now) {
+        var E = window.PanasEmbeddings;
+        var res = db.exec('SELECT * FROM intent_checkins WHERE deleted = 0 AND ts > ? ORDER BY ts ASC LIMIT 1', [ts]);
+        if (!res.length || !res[0].values.length) return false;
+        var c = rowToObj(res[0].columns, res[0].values[0]);
+        var retroVec = storedVector(c, 'retro_embedding', E.current().modelId) || await E.vector(c.retrospective);
+        var alignRetro = prospect && prospectVec && retroVec ? E.similarity(prospectVec, retroVec) : null;
+        var flag = alignRetro !== null && alignRetro < CFG.alignThreshold ? 1 : 0;
+        if (alignRetro === c.alignment_retro && flag === c.drift_flag) return false;
+        db.run('UPDATE intent_checkins SET alignment_retro = ?, drift_flag = ?, updated_at = ? WHERE uid = ?',
+            [alignRetro, flag, now, c.uid]);
+        return true;
+    }
+
     /* ===================================================================
        Notifications
        =================================================================== */
     function isInWindow() {
-        var h = new Date().getHours();
-        return h >= CFG.windowStart && h < CFG.windowEnd;
+        var now = new Date();
+        var w = CFG.windows[now.getDay()];
+        return !!w && now.getHours() >= w[0] && now.getHours() < w[1];
+    }
+
+    function isSnoozed() {
+        return !!CFG.snoozeUntil && Date.now() < new Date(CFG.snoozeUntil).getTime();
     }
 
     function shouldCheckIn() {
-        if (!isInWindow()) return false;
+        if (!isInWindow() || isSnoozed()) return false;
         var last = getLastCheckin();
         if (!last) return true;
         var elapsed = (Date.now() - new Date(last.ts).getTime()) / 3600000;
@@ -215,7 +217,7 @@
     function fireNotification() {
         if ('Notification' in window && Notification.permission === 'granted') {
             new Notification('Intent Check-In', {
-                body: "Time for a 3-hour check-in. What did you do? What's next?",
+                body: 'Time for a ' + CFG.intervalHours + "-hour check-in. What did you do? What's next?",
                 tag: 'intent-checkin'
             });
         }
@@ -227,17 +229,31 @@
         if (note) {
             note.style.display = 'block';
             note.innerHTML =
-                '<strong>Check-in due</strong> — What did you do? What\'s your intent for the next block?';
+                '<strong>Check-in due</strong> — What did you do? What\'s your intent for the next block?' +
+                ' <button class="intent-snooze" data-snooze="1">Snooze 1 h</button>' +
+                ' <button class="intent-snooze" data-snooze="tomorrow">Until tomorrow</button>';
+            note.querySelectorAll('[data-snooze]').forEach(function (b) {
+                b.onclick = function () { snooze(b.dataset.snooze); };
+            });
         }
         /* gentle pulse on section border */
         var sec = document.getElementById('intent-section');
         if (sec) { sec.classList.add('intent-highlight'); }
     }
 
+    function clearDue() {
+        var note = document.getElementById('intent-notification');
+        if (note) note.style.display = 'none';
+        var sec = document.getElementById('intent-section');
+        if (sec) sec.classList.remove('intent-highlight');
+    }
+
+    /* (Re)started whenever the settings change, so a new interval or poll rate applies at once */
+    var notifyTimer = null;
     function startNotifyLoop() {
-        requestNotifyPermission();
-        if (shouldCheckIn()) highlightSection();
-        setInterval(function () {
+        clearInterval(notifyTimer);
+        if (shouldCheckIn()) highlightSection(); else clearDue();
+        notifyTimer = setInterval(function () {
             if (!shouldCheckIn()) return;
             var last = localStorage.getItem(CFG.lsLastNotify);
             var now = Date.now();
@@ -248,6 +264,261 @@
         }, CFG.pollMs);
     }
 
+    /* ===================================================================
+       Settings (js/settings.js rows 'intent.<knob>', layered over DEFAULTS)
+       =================================================================== */
+    function isHour(h) { return h === Math.round(h) && h >= 0 && h <= 24; }
+
+    function settingError(key, v) {
+        switch (key) {
+            case 'intervalHours':
+                return typeof v === 'number' && v >= 0.5 && v <= 24 ? '' : 'Check in every 0.5 to 24 hours.';
+            case 'alignThreshold':
+                return typeof v === 'number' && v >= 0.05 && v <= 0.95 ? '' : 'The drift threshold must be between 5% and 95%.';
+            case 'driftWindowBlocks':
+                return v === Math.round(v) && v >= 2 && v <= 50 ? '' : 'The trend look-back must be a whole number of check-ins from 2 to 50.';
+            case 'pollMs':
+                return typeof v === 'number' && v >= 60000 && v <= 3600000 ? '' : 'Look for due check-ins every 1 to 60 minutes.';
+            case 'windows':
+                return Array.isArray(v) && v.length === 7 && v.every(function (w) {
+                    return w === null || (Array.isArray(w) && w.length === 2 && isHour(w[0]) && isHour(w[1]) && w[0] < w[1]);
+                }) ? '' : 'Each prompt window needs a whole start hour before its end hour (0–24).';
+            case 'snoozeUntil':
+                return v === null || (typeof v === 'string' && !isNaN(new Date(v).getTime())) ? '' : 'Invalid snooze time.';
+        }
+        return 'Unknown setting: ' + key;
+    }
+
+    /* A stored value this version can't use (e.g. written by a newer one) falls back to the default */
+    /* → true when any knob changed */
+    function loadSettings() {
+        var stored = window.PanasSettings.all(db, 'intent.'), changed = false;
+        SETTING_KEYS.forEach(function (k) {
+            var v = stored['intent.' + k];
+            v = v !== undefined && !settingError(k, v) ? v : JSON.parse(JSON.stringify(DEFAULTS[k]));
+            if (JSON.stringify(v) !== JSON.stringify(CFG[k])) changed = true;
+            CFG[k] = v;
+        });
+        return changed;
+    }
+
+    /* Store { knob: value } (null resets a knob) and apply it live; '' or the first validation error */
+    function saveSettings(changes, keepForm) {
+        var keys = Object.keys(changes);
+        for (var i = 0; i < keys.length; i++) {
+            var err = changes[keys[i]] === null ? '' : settingError(keys[i], changes[keys[i]]);
+            if (err) return err;
+        }
+        var now = new Date().toISOString();
+        keys.forEach(function (k) { window.PanasSettings.set(db, 'intent.' + k, changes[k], now); });
+        persist();
+        applySettings(keepForm);
+        return '';
+    }
+
+    function applySettings(keepForm) {
+        loadSettings();
+        startNotifyLoop();
+        drawAlignChart();
+        updateCollapseWarning();
+        if (!keepForm) renderSettings();
+    }
+
+    function snooze(what) {
+        var until = new Date();
+        if (what === 'tomorrow') {
+            until.setDate(until.getDate() + 1);
+            until.setHours(0, 0, 0, 0);
+        } else {
+            until = new Date(Date.now() + parseFloat(what) * 3600000);
+        }
+        saveSettings({ snoozeUntil: until.toISOString() });
+        setStatus('Check-in prompts snoozed until ' + fmt(until) + '.');
+    }
+
+    function renderSettings() {
+        var body = document.getElementById('intent-settings-body');
+        if (!body) return;
+        var order = [1, 2, 3, 4, 5, 6, 0];   // Monday first
+        body.innerHTML = [
+            '<div class="is-grid">',
+            '  <label>Check in every <input type="number" id="is-interval" min="0.5" max="24" step="0.5" value="' + CFG.intervalHours + '"> h</label>',
+            '  <label>Flag drift below <input type="number" id="is-threshold" min="5" max="95" step="1" value="' + Math.round(CFG.alignThreshold * 100) + '">% alignment</label>',
+            '  <label>Trend over the last <input type="number" id="is-blocks" min="2" max="50" step="1" value="' + CFG.driftWindowBlocks + '"> check-ins</label>',
+            '  <label>Look for due check-ins every <input type="number" id="is-poll" min="1" max="60" step="1" value="' + CFG.pollMs / 60000 + '"> min</label>',
+            '</div>',
+            '<table class="is-days"><tr><th></th><th>Prompts</th><th>From</th><th>Until</th></tr>',
+            order.map(function (d) {
+                var on = !!CFG.windows[d], w = CFG.windows[d] || DEFAULTS.windows[d];
+                var dis = on ? '' : ' disabled';
+                return '<tr data-day="' + d + '"><td>' + DAY_NAMES[d] + '</td>' +
+                    '<td><input type="checkbox" class="is-on"' + (on ? ' checked' : '') + ' aria-label="Prompts on ' + DAY_NAMES[d] + '"></td>' +
+                    '<td><input type="number" class="is-from" min="0" max="23" value="' + w[0] + '"' + dis + ' aria-label="' + DAY_NAMES[d] + ' from">:00</td>' +
+                    '<td><input type="number" class="is-to" min="1" max="24" value="' + w[1] + '"' + dis + ' aria-label="' + DAY_NAMES[d] + ' until">:00</td></tr>';
+            }).join(''),
+            '</table>',
+            '<div class="is-snooze">' + (isSnoozed()
+                ? 'Prompts snoozed until ' + fmt(new Date(CFG.snoozeUntil)) + ' <button id="is-resume">Resume</button>'
+                : 'Snooze prompts: <button data-snooze="1">1 h</button> <button data-snooze="3">3 h</button> <button data-snooze="tomorrow">until tomorrow</button>') + '</div>',
+            '<div class="is-foot"><button id="is-reset">Restore defaults</button> <span id="is-msg" class="intent-status"></span></div>'
+        ].join('\n');
+
+        body.querySelectorAll('input').forEach(function (el) { el.addEventListener('change', onSettingsInput); });
+        body.querySelectorAll('[data-snooze]').forEach(function (b) {
+            b.onclick = function () { snooze(b.dataset.snooze); };
+        });
+        var resume = document.getElementById('is-resume');
+        if (resume) resume.onclick = function () {
+            saveSettings({ snoozeUntil: null });
+            setStatus('Check-in prompts resumed.');
+        };
+        document.getElementById('is-reset').onclick = function () {
+            var reset = {};
+            SETTING_KEYS.forEach(function (k) { reset[k] = null; });
+            saveSettings(reset);
+            document.getElementById('is-msg').textContent = 'Defaults restored.';
+        };
+    }
+
+    /* Similarity model — chosen per device (localStorage), since model files and
+       download budgets differ between devices */
+    function modelName(id) {
+        if (id === 'overlap') return 'word overlap (before v9)';
+        if (id === 'bm25') return 'BM25 keywords';
+        return String(id).replace(/^transformers:/, '').split('/').pop();
+    }
+
+    function renderModelSettings() {
+        var el = document.getElementById('intent-model-body');
+        if (!el) return;
+        var E = window.PanasEmbeddings, cfg = E.config(), cur = E.current();
+        var counts = db.exec("SELECT COALESCE(embedding_model, '?'), COUNT(*) FROM intent_checkins " +
+            'WHERE deleted = 0 AND alignment_retro IS NOT NULL GROUP BY 1 ORDER BY 2 DESC');
+        var attr = function (v) { return esc(v).replace(/"/g, '&quot;'); };
+        el.innerHTML = [
+            '<div class="im-row"><label>Similarity model <select id="im-backend">' + Object.keys(E.BACKENDS).map(function (k) {
+                return '<option value="' + k + '"' + (k === cfg.backend ? ' selected' : '') + '>' + E.BACKENDS[k].label + '</option>';
+            }).join('') + '</select></label></div>',
+            '<div class="im-local"' + (cfg.backend === 'local' ? '' : ' hidden') + '>',
+            '  <label>Model folder <input id="im-local-path" value="' + attr(cfg.localPath) + '"></label>',
+            '  <label>Model id <input id="im-local-model" value="' + attr(cfg.localModel) + '"></label>',
+            '  <label>Transformers.js from <input id="im-library" value="' + attr(cfg.libraryUrl) + '"></label>',
+            '  <div class="im-note">The folder holds <code>&lt;model id&gt;/</code> with <code>config.json</code>, the tokenizer files and ' +
+            '<code>onnx/model_quantized.onnx</code>. The bundled <code>vendor/transformers.min.js</code> works with no network at all; a CDN address needs a connection.</div>',
+            '</div>',
+            '<div class="im-row">In use: <b>' + esc(cur.loading ? 'loading…' : cur.label) + '</b>' +
+            (cur.error ? ' <span class="im-err">(' + esc(E.BACKENDS[cfg.backend].label) + ' failed: ' + esc(cur.error) + ')</span>' : '') + '</div>',
+            '<div class="im-row im-note">Scores on record: ' + (counts.length ? counts[0].values.map(function (v) {
+                return esc(modelName(v[0])) + ' × ' + v[1];
+            }).join(', ') : 'none') + '</div>',
+            '<div class="im-row"><button id="im-rescore"' + (rescoring ? ' disabled' : '') + '>Re-score history</button> <span id="im-msg" class="intent-status"></span></div>'
+        ].join('\n');
+
+        var save = function () {
+            E.setConfig({
+                backend: document.getElementById('im-backend').value,
+                localPath: document.getElementById('im-local-path').value.trim(),
+                localModel: document.getElementById('im-local-model').value.trim(),
+                libraryUrl: document.getElementById('im-library').value.trim()
+            });
+            renderModelSettings();
+            initEmbeddings();
+        };
+        ['im-backend', 'im-local-path', 'im-local-model', 'im-library'].forEach(function (id) {
+            document.getElementById(id).addEventListener('change', save);
+        });
+        document.getElementById('im-rescore').onclick = rescoreHistory;
+    }
+
+    /* Recompute every check-in's alignment (and drift flag) under the current
+       backend, reusing stored vectors that backend made and replacing the rest */
+    async function rescoreHistory() {
+        var E = window.PanasEmbeddings, cur = E.current();
+        var msg = function (t) { var m = document.getElementById('im-msg'); if (m) m.textContent = t; };
+        if (rescoring || cur.loading) {
+            msg(cur.loading ? 'Wait for the model to finish loading.' : 'Already re-scoring.');
+            return;
+        }
+        var res = db.exec('SELECT * FROM intent_checkins WHERE deleted = 0 ORDER BY ts ASC');
+        if (!res.length) { msg('No check-ins to re-score.'); return; }
+        var rows = res[0].values.map(function (v) { return rowToObj(res[0].columns, v); });
+        if (!confirm('Recompute alignment for all ' + rows.length + ' check-ins with ' + cur.label + '? ' +
+            'Drift flags follow the new scores. A snapshot is taken first.')) return;
+
+        rescoring = true;
+        document.getElementById('im-rescore').disabled = true;
+        try {
+            await window.PanasStore.snapshot(db.export(), 'before re-scoring check-ins');
+            refreshCorpus();
+            var now = new Date().toISOString(), prevVec = null, prev = null, changed = 0;
+            var json = function (v) { return cur.semantic && v ? JSON.stringify(v) : null; };
+            for (var i = 0; i < rows.length; i++) {
+                if (E.current().modelId !== cur.modelId) throw new Error('the model changed while re-scoring');
+                var c = rows[i];
+                var retro = storedVector(c, 'retro_embedding', cur.modelId) || await E.vector(c.retrospective);
+                var prospect = storedVector(c, 'prospect_embedding', cur.modelId) || await E.vector(c.prospective);
+                var target = storedVector(c, 'target_embedding', cur.modelId) || await E.vector(c.target_words);
+                var alignRetro = prev && prev.prospective && retro ? E.similarity(prevVec, retro) : null;
+                var next = [alignRetro, E.similarity(target, prospect), E.similarity(target, retro),
+                    alignRetro !== null && alignRetro < CFG.alignThreshold ? 1 : 0];
+                /* unchanged rows keep updated_at, so re-scoring on two devices doesn't conflict */
+                if (c.embedding_model !== cur.modelId || next.some(function (v, j) {
+                    return v !== [c.alignment_retro, c.alignment_prospect, c.alignment_goal, c.drift_flag][j];
+                })) {
+                    db.run('UPDATE intent_checkins SET alignment_retro = ?, alignment_prospect = ?, alignment_goal = ?, drift_flag = ?, ' +
+                        'retro_embedding = ?, prospect_embedding = ?, target_embedding = ?, embedding_model = ?, updated_at = ? WHERE uid = ?',
+                        next.concat([json(retro), json(prospect), json(target), cur.modelId, now, c.uid]));
+                    changed++;
+                }
+                prev = c;
+                prevVec = prospect;
+                if (i % 10 === 9) {
+                    msg('Re-scoring… ' + (i + 1) + ' / ' + rows.length);
+                    await new Promise(function (r) { setTimeout(r, 0); });
+                }
+            }
+            persist();
+            drawCharts();
+            renderGoals();
+            renderDriftSummary();
+            updateCollapseWarning();
+            rescoring = false;
+            renderModelSettings();
+            msg('Re-scored ' + rows.length + ' check-ins with ' + cur.label + ' (' + changed + ' changed).');
+        } catch (e) {
+            console.error('Intent: re-scoring failed', e);
+            rescoring = false;
+            renderModelSettings();
+            msg('Re-scoring stopped: ' + (e.message || e) + '. Check-ins done so far keep their new scores.');
+            persist();
+        }
+    }
+
+    /* The form is saved field by field as it changes; it is not re-rendered, so focus stays put */
+    function onSettingsInput() {
+        var body = document.getElementById('intent-settings-body');
+        var num = function (el) { return parseFloat(el.value); };
+        var windows = [null, null, null, null, null, null, null];
+        body.querySelectorAll('tr[data-day]').forEach(function (tr) {
+            var on = tr.querySelector('.is-on').checked;
+            tr.querySelectorAll('input[type=number]').forEach(function (el) { el.disabled = !on; });
+            if (on) windows[+tr.dataset.day] = [num(tr.querySelector('.is-from')), num(tr.querySelector('.is-to'))];
+        });
+        var want = {
+            intervalHours: num(document.getElementById('is-interval')),
+            alignThreshold: num(document.getElementById('is-threshold')) / 100,
+            driftWindowBlocks: num(document.getElementById('is-blocks')),
+            pollMs: num(document.getElementById('is-poll')) * 60000,
+            windows: windows
+        };
+        var changes = {};
+        Object.keys(want).forEach(function (k) {
+            if (JSON.stringify(want[k]) !== JSON.stringify(CFG[k])) changes[k] = want[k];
+        });
+        if (!Object.keys(changes).length) return;
+        document.getElementById('is-msg').textContent = saveSettings(changes, true) || 'Saved.';
+    }
+
     /* ===================================================================
        UI helpers
        =================================================================== */
@@ -280,9 +551,12 @@
 
             '<div id="intent-notification" class="intent-note" style="display:none"></div>',
 
+            '<div id="intent-collapse" class="intent-collapse" style="display:none"></div>',
+
             '<div id="last-intent-display" class="intent-last" style="display:none"></div>',
 
             '<div class="intent-form">',
+            '  <div id="intent-goal" class="intent-goal"></div>',
             '  <div class="intent-field">',
             '    <label for="intent-retro">What did I actually do since the last check-in?</label>',
             '    <textarea id="intent-retro" rows="2" placeholder="Retrospective…"></textarea>',
@@ -293,6 +567,7 @@
             '  </div>',
             '  <div class="intent-actions">',
             '    <button id="intent-save">Check In</button>',
+            '    <span id="intent-when-anchor"></span>',
             '    <span id="intent-status" class="intent-status"></span>',
             '    <span id="embed-status" class="intent-status" style="margin-left:auto"></span>',
             '  </div>',
@@ -309,11 +584,35 @@
             '  </div>',
             '</div>',
 
+            '<details id="drift-summary" class="collapse-history">',
+            '  <summary>Drift reflections</summary>',
+            '  <div id="drift-summary-body"></div>',
+            '</details>',
+
+            '<details id="intent-goals" class="collapse-history">',
+            '  <summary>Goals</summary>',
+            '  <div id="intent-goals-list"></div>',
+            '  <svg id="goal-chart" class="goal-chart" viewBox="0 0 640 140"></svg>',
+            '</details>',
+
+            '<details id="intent-settings" class="collapse-history">',
+            '  <summary>Check-in settings</summary>',
+            '  <div id="intent-settings-body"></div>',
+            '  <div id="intent-model-body"></div>',
+            '</details>',
+
+            '<details id="collapse-history" class="collapse-history">',
+            '  <summary>Early-warning history</summary>',
+            '  <div id="collapse-history-list"></div>',
+            '</details>',
+
             ''
         ].join('\n');
 
         anchor.appendChild(section);
         document.getElementById('intent-save').addEventListener('click', handleCheckin);
+        window.PanasTime.mount('intent-when-anchor', 'intent-when', 'at');
+        renderSettings();
     }
 
     /* ===================================================================
@@ -322,54 +621,174 @@
     async function handleCheckin() {
         var retro = document.getElementById('intent-retro').value.trim();
         var prospect = document.getElementById('intent-prospect').value.trim();
-        /* Sleep comes from the PANAS-side input */
-        var sleep = window.panasGetSleep ? window.panasGetSleep() : null;
 
         if (!retro && !prospect) {
             setStatus('Please fill in at least one field.');
             return;
         }
+        var when = window.PanasTime.read('intent-when');
+        var problem = window.PanasTime.problem(db, 'intent_checkins', when.ts, when.picked);
+        if (problem) {
+            setStatus(problem);
+            return;
+        }
 
         setStatus('Computing alignment…');
 
-        /* For alignment, we treat prospect as both intent and target direction */
-        var result = await computeAlignment(retro, prospect, prospect);
+        var goal = getActiveGoal();
+        var result = await computeAlignment(retro, prospect, goal ? goal.title : '', when.ts);
         var driftFlag = (result.alignRetro !== null && result.alignRetro < CFG.alignThreshold) ? 1 : 0;
-        var ts = new Date().toISOString();
+        var ts = when.ts;
+        var now = new Date().toISOString();
+        var uid = window.panasNewUid();
 
         var stmt = db.prepare(
             'INSERT INTO intent_checkins ' +
-            '(ts, retrospective, prospective, target_words, hours_slept, ' +
-            ' alignment_retro, alignment_prospect, drift_flag, ' +
-            ' retro_embedding, prospect_embedding, target_embedding) ' +
-            'VALUES (?,?,?,?,?,?,?,?,?,?,?)'
+            '(ts, retrospective, prospective, target_words, goal_uid, ' +
+            ' alignment_retro, alignment_prospect, alignment_goal, drift_flag, ' +
+            ' retro_embedding, prospect_embedding, target_embedding, embedding_model, tz_offset, uid, updated_at) ' +
+            'VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)'
         );
         stmt.run([
-            ts, retro, prospect, '', sleep,
-            result.alignRetro, result.alignProspect, driftFlag,
+            ts, retro, prospect, goal ? goal.title : '', goal ? goal.uid : null,
+            result.alignRetro, result.alignProspect, result.alignGoal, driftFlag,
             result.retroEmbed ? JSON.stringify(result.retroEmbed) : null,
             result.prospectEmbed ? JSON.stringify(result.prospectEmbed) : null,
-            result.targetEmbed ? JSON.stringify(result.targetEmbed) : null
+            result.targetEmbed ? JSON.stringify(result.targetEmbed) : null,
+            result.model, when.tzOffset, uid, now
         ]);
         stmt.free();
+        if (when.picked) await rescoreFollowing(ts, prospect, result.prospectEmbed || await window.PanasEmbeddings.vector(prospect), now);
         persist();
+        refreshCorpus();
 
         /* clear form */
         document.getElementById('intent-retro').value = '';
         document.getElementById('intent-prospect').value = '';
+        window.PanasTime.reset('intent-when');
 
         /* hide due-banner */
-        document.getElementById('intent-notification').style.display = 'none';
-        var sec = document.getElementById('intent-section');
-        if (sec) sec.classList.remove('intent-highlight');
+        clearDue();
 
         drawCharts();
         renderLastIntent();
-        setStatus('Checked in.');
+        renderGoals();
+        renderDriftSummary();
+        updateCollapseWarning();
+        setStatus(when.picked ? 'Checked in for ' + fmt(new Date(ts)) + '.' : 'Checked in.');
+        if (driftFlag) openDriftDialog(uid);
     }
 
 
 
+    /* ===================================================================
+       Drift reflection — "Was this shift intentional or reactive?"
+       Asked right after a flagged check-in; unanswered ones can be picked up
+       later from the summary.
+       =================================================================== */
+    function openDriftDialog(uid) {
+        var res = db.exec('SELECT ts, retrospective, alignment_retro, drift_response, drift_note FROM intent_checkins WHERE uid = ?', [uid]);
+        if (!res.length) return;
+        var c = rowToObj(res[0].columns, res[0].values[0]);
+        var prev = db.exec('SELECT prospective FROM intent_checkins WHERE deleted = 0 AND ts < ? ORDER BY ts DESC LIMIT 1', [c.ts]);
+        var intent = prev.length ? prev[0].values[0][0] : '';
+        var choice = c.drift_response;
+
+        closeDriftDialog();
+        var o = document.createElement('div');
+        o.id = 'drift-overlay';
+        o.innerHTML =
+            '<div id="drift-dialog" role="dialog" aria-modal="true" aria-labelledby="drift-title">' +
+            '<h3 id="drift-title">Was this shift intentional or reactive?</h3>' +
+            '<p class="dd-context">' +
+            (intent ? 'You meant to: <q>' + esc(intent) + '</q><br>' : '') +
+            'You did: <q>' + esc(c.retrospective) + '</q><br>' +
+            '<span class="dd-meta">' + fmt(new Date(c.ts)) + ' · alignment ' + pctOrDash(c.alignment_retro) + '</span></p>' +
+            '<div class="dd-choices" role="group" aria-label="Kind of shift">' +
+            Object.keys(DRIFT_RESPONSES).map(function (k) {
+                return '<button data-choice="' + k + '" aria-pressed="' + (k === choice) + '">' + DRIFT_RESPONSES[k] + '</button>';
+            }).join(' ') + '</div>' +
+            '<label for="drift-note">Note (optional)</label>' +
+            '<textarea id="drift-note" rows="2" placeholder="What pulled you elsewhere? Was it worth it?">' + esc(c.drift_note) + '</textarea>' +
+            '<div class="dd-actions"><button id="drift-skip">Not now</button> <button id="drift-save"' + (choice ? '' : ' disabled') + '>Save</button></div>' +
+            '</div>';
+        document.body.appendChild(o);
+
+        var choices = o.querySelectorAll('[data-choice]');
+        choices.forEach(function (b) {
+            b.onclick = function () {
+                choice = b.dataset.choice;
+                choices.forEach(function (x) { x.setAttribute('aria-pressed', String(x === b)); });
+                document.getElementById('drift-save').disabled = false;
+            };
+        });
+        document.getElementById('drift-skip').onclick = closeDriftDialog;
+        document.getElementById('drift-save').onclick = function () {
+            saveDriftResponse(uid, choice, document.getElementById('drift-note').value.trim());
+            closeDriftDialog();
+        };
+        o.addEventListener('keydown', function (e) { if (e.key === 'Escape') closeDriftDialog(); });
+        choices[0].focus();
+    }
+
+    function closeDriftDialog() {
+        var o = document.getElementById('drift-overlay');
+        if (o) o.remove();
+    }
+
+    function saveDriftResponse(uid, response, note) {
+        db.run('UPDATE intent_checkins SET drift_response = ?, drift_note = ?, updated_at = ? WHERE uid = ?',
+            [response, note || null, new Date().toISOString(), uid]);
+        persist();
+        drawAlignChart();
+        renderDriftSummary();
+        setStatus('Reflection saved.');
+    }
+
+    /* Flagged check-ins in [sinceISO, untilISO) by response */
+    function driftCounts(sinceISO, untilISO) {
+        var out = { flagged: 0, intentional: 0, reactive: 0, unsure: 0, unanswered: 0 };
+        var r = db.exec('SELECT drift_response, COUNT(*) FROM intent_checkins ' +
+            'WHERE deleted = 0 AND drift_flag = 1 AND ts >= ? AND ts < ? GROUP BY drift_response', [sinceISO, untilISO]);
+        if (r.length) r[0].values.forEach(function (v) {
+            out.flagged += v[1];
+            out[DRIFT_RESPONSES[v[0]] ? v[0] : 'unanswered'] += v[1];
+        });
+        return out;
+    }
+
+    function renderDriftSummary() {
+        var el = document.getElementById('drift-summary-body');
+        if (!el) return;
+        var week = 7 * 24 * 3600000, now = Date.now();
+        var total = driftCounts(new Date(now - CFG.driftSummaryWeeks * week).toISOString(), new Date(now).toISOString());
+        var answered = total.flagged - total.unanswered;
+        var head;
+        if (!total.flagged) {
+            head = 'No drift flagged in the last ' + CFG.driftSummaryWeeks + ' weeks.';
+        } else if (!answered) {
+            head = total.flagged + ' drift' + (total.flagged === 1 ? '' : 's') + ' flagged in the last ' + CFG.driftSummaryWeeks + ' weeks, none reflected on yet.';
+        } else {
+            head = '<b>' + total.reactive + ' of ' + answered + '</b> answered drift' + (answered === 1 ? '' : 's') +
+                ' in the last ' + CFG.driftSummaryWeeks + ' weeks ' + (answered === 1 ? 'was' : 'were') + ' reactive (' +
+                Math.round(100 * total.reactive / answered) + '%).';
+        }
+        var rows = [];
+        for (var i = 0; i < CFG.driftSummaryWeeks; i++) {
+            var end = now - i * week, c = driftCounts(new Date(end - week).toISOString(), new Date(end).toISOString());
+            rows.push('<tr><td>' + (i === 0 ? 'Last 7 days' : new Date(end - week).toLocaleDateString() + ' – ' + new Date(end).toLocaleDateString()) + '</td><td>' + c.flagged + '</td><td>' +
+                c.intentional + '</td><td>' + c.reactive + '</td><td>' + c.unsure + '</td><td>' + c.unanswered + '</td></tr>');
+        }
+        var pending = db.exec("SELECT uid FROM intent_checkins WHERE deleted = 0 AND drift_flag = 1 AND drift_response IS NULL ORDER BY ts DESC LIMIT 1");
+        el.innerHTML = '<div class="ds-head">' + head + '</div>' +
+            (total.flagged ? '<table class="ds-table"><tr><th>Period</th><th>Drifts</th><th>Intentional</th><th>Reactive</th><th>Not sure</th><th>Unanswered</th></tr>' +
+                rows.join('') + '</table>' : '') +
+            (pending.length ? '<button id="ds-reflect">Reflect on the latest unanswered drift</button>' : '');
+        if (pending.length) {
+            document.getElementById('ds-reflect').onclick = function () { openDriftDialog(pending[0].values[0][0]); };
+        }
+    }
+
     /* ===================================================================
        Last stated intent (shown above retro field)
        =================================================================== */
@@ -389,6 +808,366 @@
             '<div class="il-meta">' + fmt(ts) + '</div>';
     }
 
+    /* ===================================================================
+       Goals — the target direction check-ins are scored against. At most
+       one is active; setting a new one archives it. (Two devices activating
+       different goals between syncs leave two active rows; the most recently
+       changed one counts.)
+       =================================================================== */
+    var chartGoalUid = null;   // goal shown in the per-goal chart; null = the active one
+
+    function getGoals() {
+        var res = db.exec(
+            'SELECT g.uid, g.title, g.status, g.completed_at, g.ts, g.updated_at, COUNT(c.id), AVG(c.alignment_goal) ' +
+            'FROM intent_goals g LEFT JOIN intent_checkins c ON c.goal_uid = g.uid AND c.deleted = 0 ' +
+            'WHERE g.deleted = 0 GROUP BY g.uid ORDER BY g.ts DESC');
+        if (!res.length) return [];
+        return res[0].values.map(function (v) {
+            return { uid: v[0], title: v[1], status: v[2], completed_at: v[3], ts: v[4], updated_at: v[5], checkins: v[6], avg: v[7] };
+        });
+    }
+
+    function getActiveGoal() {
+        var res = db.exec("SELECT uid, title, ts FROM intent_goals WHERE deleted = 0 AND status = 'active' ORDER BY updated_at DESC LIMIT 1");
+        if (!res.length) return null;
+        var v = res[0].values[0];
+        return { uid: v[0], title: v[1], ts: v[2] };
+    }
+
+    function archiveActiveGoals(now) {
+        db.run("UPDATE intent_goals SET status = 'archived', updated_at = ? WHERE deleted = 0 AND status = 'active'", [now]);
+    }
+
+    function setGoal(title) {
+        title = title.trim().replace(/\s+/g, ' ');
+        if (!title) {
+            setStatus('Describe the goal in a few words.');
+            return;
+        }
+        var now = new Date().toISOString();
+        archiveActiveGoals(now);
+        db.run('INSERT INTO intent_goals (uid, title, status, ts, updated_at) VALUES (?,?,?,?,?)',
+            [window.panasNewUid(), title, 'active', now, now]);
+        persist();
+        chartGoalUid = null;
+        renderGoals();
+        setStatus('New goal set; check-ins are scored against it from now on.');
+    }
+
+    /* action: 'activate' (also reopens a done goal), 'archive', 'done' or 'delete' */
+    function changeGoal(uid, action) {
+        var now = new Date().toISOString();
+        if (action === 'activate') {
+            archiveActiveGoals(now);
+            db.run("UPDATE intent_goals SET status = 'active', completed_at = NULL, updated_at = ? WHERE uid = ?", [now, uid]);
+        } else if (action === 'archive') {
+            db.run("UPDATE intent_goals SET status = 'archived', updated_at = ? WHERE uid = ?", [now, uid]);
+        } else if (action === 'done') {
+            db.run("UPDATE intent_goals SET status = 'archived', completed_at = ?, updated_at = ? WHERE uid = ?", [now, now, uid]);
+        } else if (action === 'delete') {
+            /* check-ins keep goal_uid and target_words, so their scores still say what they were against */
+            db.run('UPDATE intent_goals SET deleted = 1, updated_at = ? WHERE uid = ?', [now, uid]);
+            if (chartGoalUid === uid) chartGoalUid = null;
+        }
+        persist();
+        renderGoals();
+    }
+
+    function goalState(g, active) {
+        if (active && g.uid === active.uid) return 'active';
+        return g.completed_at ? 'done ' + new Date(g.completed_at).toLocaleDateString() : 'archived';
+    }
+
+    function pctOrDash(x) { return x === null || x === undefined ? '–' : (x * 100).toFixed(0) + '%'; }
+
+    /* Goal line above the check-in form: the active goal, or an input to set one */
+    function renderGoalBar(editing) {
+        var el = document.getElementById('intent-goal');
+        if (!el) return;
+        var goal = getActiveGoal();
+        if (goal && !editing) {
+            el.innerHTML = '<span class="ig-label">Goal</span> <b>' + esc(goal.title) + '</b>' +
+                ' <span class="ig-meta">since ' + new Date(goal.ts).toLocaleDateString() + '</span>' +
+                ' <button id="ig-done" title="Mark this goal as reached">Done ✓</button>' +
+                ' <button id="ig-archive" title="Set it aside without marking it done">Archive</button>' +
+                ' <button id="ig-change">New goal…</button>';
+            document.getElementById('ig-done').onclick = function () { changeGoal(goal.uid, 'done'); setStatus('Goal marked done.'); };
+            document.getElementById('ig-archive').onclick = function () { changeGoal(goal.uid, 'archive'); };
+            document.getElementById('ig-change').onclick = function () { renderGoalBar(true); };
+            return;
+        }
+        el.innerHTML = '<label for="intent-goal-input" class="ig-label">Target direction</label>' +
+            ' <input id="intent-goal-input" placeholder="A goal to steer toward, e.g. Ship parsing module">' +
+            ' <button id="ig-set">Set goal</button>' + (goal ? ' <button id="ig-cancel">Cancel</button>' : '');
+        var input = document.getElementById('intent-goal-input');
+        document.getElementById('ig-set').onclick = function () { setGoal(input.value); };
+        input.addEventListener('keydown', function (e) { if (e.key === 'Enter') setGoal(input.value); });
+        if (goal) document.getElementById('ig-cancel').onclick = function () { renderGoalBar(false); };
+        if (editing) input.focus();
+    }
+
+    function renderGoalHistory() {
+        var list = document.getElementById('intent-goals-list');
+        if (!list) return;
+        var goals = getGoals(), active = getActiveGoal();
+        if (!goals.length) {
+            list.innerHTML = '<div class="ch-empty">No goals yet — set one above the check-in fields.</div>';
+            drawGoalChart(null);
+            return;
+        }
+        var shown = chartGoalUid && goals.some(function (g) { return g.uid === chartGoalUid; }) ? chartGoalUid : (active ? active.uid : goals[0].uid);
+        list.innerHTML = goals.map(function (g) {
+            var state = goalState(g, active);
+            var actions = state === 'active'
+                ? '<button data-act="done">Done</button> <button data-act="archive">Archive</button>'
+                : '<button data-act="activate">' + (g.completed_at ? 'Reopen' : 'Make active') + '</button> <button data-act="delete">Delete</button>';
+            return '<div class="ch-row goal-row' + (g.uid === shown ? ' goal-shown' : '') + '" data-uid="' + esc(g.uid) + '">' +
+                '<div class="ch-head"><b>' + esc(g.title) + '</b> · <span class="goal-state ' + state.split(' ')[0] + '">' + state + '</span>' +
+                '<span class="goal-actions">' + actions + '</span></div>' +
+                '<div class="ch-meta">from ' + new Date(g.ts).toLocaleDateString() + ' · ' + g.checkins + ' check-in' + (g.checkins === 1 ? '' : 's') +
+                ' · done-vs-goal ' + pctOrDash(g.avg) + '</div>' +
+                '</div>';
+        }).join('');
+        list.querySelectorAll('.goal-row').forEach(function (row) {
+            row.onclick = function (ev) {
+                var act = ev.target.dataset && ev.target.dataset.act;
+                if (act === 'delete' && !confirm('Delete this goal? Its check-ins are kept.')) return;
+                if (act) { changeGoal(row.dataset.uid, act); return; }
+                chartGoalUid = row.dataset.uid;
+                renderGoalHistory();
+            };
+        });
+        drawGoalChart(goals.filter(function (g) { return g.uid === shown; })[0]);
+    }
+
+    function renderGoals() {
+        renderGoalBar(false);
+        renderGoalHistory();
+    }
+
+    /* ===================================================================
+       Collapse early warning
+       Rolling window over three independent signals; each one that trips
+       becomes a flag with a human-readable reason. At ≥ collapseMinFlags a
+       10% downshift is suggested and the warning is logged once per day.
+       =================================================================== */
+    function mean(arr) {
+        return arr.length ? arr.reduce(function (a, b) { return a + b; }, 0) / arr.length : null;
+    }
+
+    function windowBounds(endMs) {
+        var span = CFG.collapseDays * 24 * 3600000;
+        return {
+            since: new Date(endMs - span).toISOString(),
+            prevSince: new Date(endMs - 2 * span).toISOString(),
+            until: new Date(endMs).toISOString()
+        };
+    }
+
+    /* Hours slept per night (js/sleep.js), for nights with a duration */
+    function getSleepNights(sinceISO, untilISO) {
+        return window.PanasSleep.nights(db, sinceISO, untilISO)
+            .map(function (n) { return n.hours_slept; })
+            .filter(function (h) { return h != null; });
+    }
+
+    function getStrainRows(sinceISO, untilISO) {
+        try {
+            var cols = AROUSAL_ITEMS.map(function (n) { return '"' + n + '"'; }).join(',');
+            /* thresholds are calibrated on PANAS-20, so other questionnaires don't feed the strain flag */
+            var r = db.exec('SELECT negative_score, ' + cols + " FROM entries WHERE deleted = 0 AND instrument = 'panas-20' AND ts >= ? AND ts < ?", [sinceISO, untilISO]);
+            if (!r.length) return [];
+            return r[0].values.map(function (v) {
+                return { neg: v[0], arousal: mean(v.slice(1).filter(function (x) { return x != null; })) };
+            });
+        } catch (_) { return []; }
+    }
+
+    function sleepFlag(b) {
+        var nights = getSleepNights(b.since, b.until);
+        if (!nights.length) return null;
+        var avg = mean(nights);
+        var short = nights.filter(function (h) { return h < CFG.shortNightHours; }).length;
+        if (avg < CFG.sleepAvgMin) {
+            return 'Sleep averaged ' + avg.toFixed(1) + 'h over ' + nights.length + ' night(s) (below ' + CFG.sleepAvgMin + 'h)';
+        }
+        if (short >= CFG.shortNightsMax) {
+            return short + ' night(s) under ' + CFG.shortNightHours + 'h in the last ' + CFG.collapseDays + ' days';
+        }
+        return null;
+    }
+
+    function strainFlag(b) {
+        var cur = getStrainRows(b.since, b.until);
+        if (!cur.length) return null;
+        var reasons = [];
+        var negAvg = mean(cur.map(function (r) { return r.neg; }).filter(function (x) { return x != null; }));
+        var prevAvg = mean(getStrainRows(b.prevSince, b.since).map(function (r) { return r.neg; }).filter(function (x) { return x != null; }));
+        if (negAvg !== null && negAvg >= CFG.negScoreHigh) {
+            reasons.push('negative affect averaged ' + negAvg.toFixed(1) + ' (≥ ' + CFG.negScoreHigh + ')');
+        } else if (negAvg !== null && prevAvg !== null && negAvg - prevAvg >= CFG.negScoreRise) {
+            reasons.push('negative affect up ' + (negAvg - prevAvg).toFixed(1) + ' vs the previous ' + CFG.collapseDays + ' days');
+        }
+        var arousalAvg = mean(cur.map(function (r) { return r.arousal; }).filter(function (x) { return x != null; }));
+        if (arousalAvg !== null && arousalAvg >= CFG.arousalHigh) {
+            reasons.push('high-arousal items (distressed, jittery, nervous…) averaged ' + arousalAvg.toFixed(1) + '/5');
+        }
+        if (!reasons.length) return null;
+        var s = reasons.join('; ');
+        return s.charAt(0).toUpperCase() + s.slice(1) + ' across ' + cur.length + ' entr' + (cur.length === 1 ? 'y' : 'ies');
+    }
+
+    function alignmentFlag(b) {
+        var rows = [];
+        try {
+            var r = db.exec(
+                'SELECT alignment_retro, drift_flag FROM intent_checkins ' +
+                'WHERE deleted = 0 AND ts >= ? AND ts < ? AND alignment_retro IS NOT NULL ORDER BY ts DESC LIMIT ' + CFG.driftWindowBlocks,
+                [b.since, b.until]
+            );
+            if (r.length) rows = r[0].values;
+        } catch (_) { }
+        if (!rows.length) return null;
+        var avg = mean(rows.map(function (v) { return v[0]; }));
+        var drifts = rows.filter(function (v) { return v[1]; }).length;
+        if (drifts >= CFG.driftFlagsMax) {
+            return drifts + ' of the last ' + rows.length + ' check-ins drifted from the stated intent';
+        }
+        if (avg < CFG.alignThreshold) {
+            return 'Alignment averaged ' + (avg * 100).toFixed(0) + '% over the last ' + rows.length + ' check-in(s)';
+        }
+        return null;
+    }
+
+    function evaluateCollapse(endMs) {
+        var b = windowBounds(endMs || Date.now());
+        var flags = [];
+        var s = sleepFlag(b), p = strainFlag(b), a = alignmentFlag(b);
+        if (s) flags.push({ key: 'sleep', label: 'Sleep', reason: s });
+        if (p) flags.push({ key: 'strain', label: 'PANAS strain', reason: p });
+        if (a) flags.push({ key: 'alignment', label: 'Alignment', reason: a });
+        return { flags: flags, warn: flags.length >= CFG.collapseMinFlags };
+    }
+
+    /* Sleep + alignment over an arbitrary period (printable report) */
+    function periodSummary(sinceISO, untilISO) {
+        var nights = getSleepNights(sinceISO, untilISO);
+        var quality = window.PanasSleep.nights(db, sinceISO, untilISO)
+            .map(function (n) { return n.quality; })
+            .filter(function (q) { return q != null; });
+        var out = {
+            sleep: {
+                nights: nights.length,
+                avg: mean(nights),
+                short: nights.filter(function (h) { return h < CFG.shortNightHours; }).length,
+                shortHours: CFG.shortNightHours,
+                quality: mean(quality)
+            },
+            alignment: { checkins: 0, retroAvg: null, prospectAvg: null, goalAvg: null, drifts: 0 },
+            driftResponses: driftCounts(sinceISO, untilISO),
+            warnings: 0
+        };
+        var r = db.exec('SELECT alignment_retro, alignment_prospect, drift_flag, alignment_goal FROM intent_checkins ' +
+            'WHERE deleted = 0 AND ts >= ? AND ts < ?', [sinceISO, untilISO]);
+        if (r.length) {
+            var rows = r[0].values;
+            var pick = function (i) { return rows.map(function (v) { return v[i]; }).filter(function (x) { return x != null; }); };
+            out.alignment = {
+                checkins: rows.length,
+                retroAvg: mean(pick(0)),
+                prospectAvg: mean(pick(1)),
+                goalAvg: mean(pick(3)),
+                drifts: rows.filter(function (v) { return v[2]; }).length
+            };
+        }
+        var w = db.exec('SELECT COUNT(*) FROM collapse_warnings WHERE ts >= ? AND ts < ?', [sinceISO, untilISO]);
+        out.warnings = w.length ? w[0].values[0][0] : 0;
+        return out;
+    }
+
+    /* Log at most one warning per calendar day */
+    function recordWarning(result) {
+        var todayStart = new Date();
+        todayStart.setHours(0, 0, 0, 0);
+        var r = db.exec('SELECT COUNT(*) FROM collapse_warnings WHERE ts >= ?', [todayStart.toISOString()]);
+        if (r.length && r[0].values[0][0] > 0) return;
+        var stmt = db.prepare('INSERT INTO collapse_warnings (ts, flag_count, flags) VALUES (?,?,?)');
+        stmt.run([new Date().toISOString(), result.flags.length, JSON.stringify(result.flags)]);
+        stmt.free();
+        persist();
+    }
+
+    function renderCollapseBanner(result) {
+        var el = document.getElementById('intent-collapse');
+        if (!el) return;
+        if (!result.warn) {
+            el.style.display = 'none';
+            return;
+        }
+        el.style.display = 'block';
+        el.innerHTML =
+            '<strong>Early warning</strong> — ' + result.flags.length + ' of 3 signals fired over the last ' +
+            CFG.collapseDays + ' days. Consider downshifting your load by ~10% for the next few blocks.' +
+            '<ul class="collapse-flags">' +
+            result.flags.map(function (f) {
+                return '<li><b>' + esc(f.label) + ':</b> ' + esc(f.reason) + '</li>';
+            }).join('') +
+            '</ul>';
+    }
+
+    /* Mean negative_score in the collapseDays before / after a warning —
+       shows whether past warnings actually preceded a harder week. */
+    function warningOutcome(ts) {
+        var t = new Date(ts).getTime();
+        var span = CFG.collapseDays * 24 * 3600000;
+        function avgNeg(from, to) {
+            var r = db.exec("SELECT AVG(negative_score), COUNT(*) FROM entries WHERE deleted = 0 AND instrument = 'panas-20' AND ts >= ? AND ts < ?",
+                [new Date(from).toISOString(), new Date(to).toISOString()]);
+            return r.length && r[0].values[0][1] ? r[0].values[0][0] : null;
+        }
+        return {
+            before: avgNeg(t - span, t),
+            after: t + span <= Date.now() ? avgNeg(t, t + span) : undefined
+        };
+    }
+
+    function renderCollapseHistory() {
+        var list = document.getElementById('collapse-history-list');
+        if (!list) return;
+        var res = db.exec('SELECT ts, flags FROM collapse_warnings ORDER BY ts DESC LIMIT 30');
+        if (!res.length || !res[0].values.length) {
+            list.innerHTML = '<div class="ch-empty">No warnings recorded yet.</div>';
+            return;
+        }
+        list.innerHTML = res[0].values.map(function (v) {
+            var flags = [];
+            try { flags = JSON.parse(v[1]) || []; } catch (_) { }
+            var o = warningOutcome(v[0]);
+            var outcome;
+            if (o.after === undefined) {
+                outcome = 'following ' + CFG.collapseDays + ' days: pending';
+            } else if (o.after === null) {
+                outcome = 'following ' + CFG.collapseDays + ' days: no entries';
+            } else {
+                var arrow = o.before !== null ? (o.after > o.before ? ' ↑' : o.after < o.before ? ' ↓' : ' →') : '';
+                outcome = 'following ' + CFG.collapseDays + ' days: neg ' + o.after.toFixed(1) +
+                    (o.before !== null ? ' (before ' + o.before.toFixed(1) + ')' : '') + arrow;
+            }
+            return '<div class="ch-row">' +
+                '<div class="ch-head"><b>' + fmt(new Date(v[0])) + '</b> · ' +
+                flags.map(function (f) { return esc(f.label); }).join(', ') + '</div>' +
+                '<div class="ch-meta">' + outcome + '</div>' +
+                '</div>';
+        }).join('');
+    }
+
+    function updateCollapseWarning() {
+        var result = evaluateCollapse();
+        if (result.warn) recordWarning(result);
+        renderCollapseBanner(result);
+        renderCollapseHistory();
+    }
+
     /* ===================================================================
        Mini-charts: Sleep trend & Alignment trend
        =================================================================== */
@@ -401,37 +1180,80 @@
             '.intent-chart-wrap h3 { font-size:13px; margin:0 0 .3rem; color:#555; }',
             '.intent-chart-wrap svg { width:100%; height:120px; background:#fafafa; border:1px solid #eee; border-radius:6px; }',
             '.intent-chart-empty { font-size:12px; color:#bbb; text-anchor:middle; }',
+            '.intent-collapse ul.collapse-flags { margin:.35rem 0 0; padding-left:1.1rem; }',
+            '.collapse-history { margin-top:.9rem; max-width:640px; font-size:12px; color:#555; }',
+            '.collapse-history summary { cursor:pointer; color:#888; }',
+            '.collapse-history .ch-row { padding:.35rem 0; border-bottom:1px solid #f0f0f0; }',
+            '.collapse-history .ch-meta, .collapse-history .ch-empty { color:#999; }',
+            '#intent-settings .is-grid { display:grid; grid-template-columns:1fr 1fr; gap:.35rem .8rem; margin:.5rem 0; }',
+            '#intent-settings input[type=number] { width:3.6em; font-size:12px; }',
+            '#intent-settings .is-days { border-collapse:collapse; margin:.3rem 0; }',
+            '#intent-settings .is-days th { font-weight:normal; color:#999; text-align:left; padding:0 .6rem 0 0; }',
+            '#intent-settings .is-days td { padding:.1rem .6rem .1rem 0; }',
+            '#intent-settings .is-snooze, #intent-settings .is-foot { margin:.4rem 0; }',
+            '.intent-note .intent-snooze { font-size:11px; margin-left:.3rem; }',
+            '.intent-goal { display:flex; flex-wrap:wrap; gap:.35rem; align-items:center; font-size:13px; margin-bottom:.5rem; }',
+            '.intent-goal .ig-label { color:#888; font-size:12px; }',
+            '.intent-goal .ig-meta { color:#aaa; font-size:11px; }',
+            '.intent-goal input { flex:1; min-width:14rem; font-size:13px; padding:.2rem .4rem; }',
+            '.intent-goal button, .goal-actions button { font-size:11px; }',
+            '.goal-row { cursor:pointer; }',
+            '.goal-row.goal-shown { background:#f7f4fb; }',
+            '.goal-actions { float:right; }',
+            '.goal-state.active { color:#2a7; }',
+            '.goal-state.done { color:#8a5bbd; }',
+            '#drift-overlay { position:fixed; inset:0; background:rgba(0,0,0,.35); display:flex; align-items:flex-start; justify-content:center; z-index:1000; padding:3rem 1rem; }',
+            '#drift-dialog { background:#fff; border-radius:10px; max-width:460px; width:100%; padding:1rem 1.2rem; font-size:13px; box-shadow:0 6px 30px rgba(0,0,0,.2); }',
+            '#drift-dialog h3 { margin:.1rem 0 .6rem; font-size:15px; }',
+            '#drift-dialog .dd-context { color:#555; line-height:1.5; }',
+            '#drift-dialog .dd-meta { color:#999; font-size:11px; }',
+            '#drift-dialog .dd-choices { display:flex; gap:.4rem; margin:.6rem 0; }',
+            '#drift-dialog .dd-choices button[aria-pressed=true] { background:#8a5bbd; color:#fff; border-color:#8a5bbd; }',
+            '#drift-dialog textarea { width:100%; box-sizing:border-box; font-size:13px; margin-top:.2rem; }',
+            '#drift-dialog .dd-actions { display:flex; gap:.5rem; justify-content:flex-end; margin-top:.6rem; }',
+            '#intent-model-body { border-top:1px solid #f0f0f0; margin-top:.5rem; padding-top:.4rem; }',
+            '#intent-model-body .im-row { margin:.35rem 0; }',
+            '#intent-model-body .im-local label { display:block; margin:.25rem 0; }',
+            '#intent-model-body .im-local input { width:60%; font-size:12px; }',
+            '#intent-model-body .im-note { color:#999; font-size:11px; }',
+            '#intent-model-body .im-err { color:#d9534f; }',
+            '.ds-table { border-collapse:collapse; margin:.4rem 0; }',
+            '.ds-table th { font-weight:normal; color:#999; text-align:right; padding:0 0 0 .7rem; }',
+            '.ds-table td { text-align:right; padding:.1rem 0 .1rem .7rem; }',
+            '.ds-table th:first-child, .ds-table td:first-child { text-align:left; padding-left:0; }',
+            '.goal-chart { width:100%; height:140px; margin-top:.5rem; background:#fafafa; border:1px solid #eee; border-radius:6px; }',
             '@media(max-width:600px){ .intent-charts{grid-template-columns:1fr;} }'
         ].join('\n');
         document.head.appendChild(style);
     }
 
+    /* The dashboard's shared date window ({ since, until } ISO, null = open-ended).
+       Rows outside it are dropped and the x-axis spans the window itself. */
+    function inRange(rows) {
+        var r = window.panasGetRange ? window.panasGetRange() : { since: null, until: null };
+        var lo = r.since ? new Date(r.since) : null;
+        var hi = r.until ? new Date(r.until) : null;
+        var kept = rows.filter(function (d) { return (!lo || d.ts >= lo) && (!hi || d.ts < hi); });
+        var ext = d3.extent(kept, function (d) { return d.ts; });
+        return { rows: kept, domain: [lo || ext[0], hi || (lo ? new Date() : ext[1])] };
+    }
+
     function drawSleepChart() {
         var svg = d3.select('#sleep-chart');
         if (svg.empty()) return;
         svg.selectAll('*').remove();
 
-        /* Gather sleep data from entries, intent_checkins, and sleep_log tables */
-        var rows = [];
-        try {
-            var r1 = db.exec("SELECT ts, hours_slept FROM entries WHERE hours_slept IS NOT NULL ORDER BY ts ASC");
-            if (r1.length) r1[0].values.forEach(function (r) { rows.push({ ts: new Date(r[0]), val: r[1] }); });
-        } catch (_) { }
-        try {
-            var r2 = db.exec("SELECT ts, hours_slept FROM intent_checkins WHERE hours_slept IS NOT NULL ORDER BY ts ASC");
-            if (r2.length) r2[0].values.forEach(function (r) { rows.push({ ts: new Date(r[0]), val: r[1] }); });
-        } catch (_) { }
-        try {
-            var r3 = db.exec("SELECT ts, hours_slept FROM sleep_log WHERE hours_slept IS NOT NULL ORDER BY ts ASC");
-            if (r3.length) r3[0].values.forEach(function (r) { rows.push({ ts: new Date(r[0]), val: r[1] }); });
-        } catch (_) { }
-
-        /* De-duplicate by date (keep last value per calendar day) */
-        rows.sort(function (a, b) { return a.ts - b.ts; });
+        /* One point per night, placed on the day of waking */
+        var rows = window.PanasSleep.nights(db, null, null)
+            .filter(function (n) { return n.hours_slept != null; })
+            .map(function (n) { return { ts: n.date, val: n.hours_slept, night: n }; });
+        var hadData = rows.length > 0;
+        var win = inRange(rows);
+        rows = win.rows;
 
         if (!rows.length) {
             svg.append('text').attr('class', 'intent-chart-empty')
-                .attr('x', 160).attr('y', 65).text('No sleep data yet');
+                .attr('x', 160).attr('y', 65).text(hadData ? 'No sleep data in this range' : 'No sleep data yet');
             return;
         }
 
@@ -439,7 +1261,7 @@
         var W = 320, H = 120, iw = W - m.l - m.r, ih = H - m.t - m.b;
         var g = svg.append('g').attr('transform', 'translate(' + m.l + ',' + m.t + ')');
 
-        var x = d3.scaleTime().domain(d3.extent(rows, function (d) { return d.ts; })).range([0, iw]);
+        var x = d3.scaleTime().domain(win.domain).range([0, iw]);
         var yMin = Math.max(0, d3.min(rows, function (d) { return d.val; }) - 1);
         var yMax = d3.max(rows, function (d) { return d.val; }) + 1;
         var y = d3.scaleLinear().domain([yMin, yMax]).range([ih, 0]);
@@ -465,7 +1287,8 @@
         g.selectAll('.sleep-dot').data(rows).enter().append('circle')
             .attr('cx', function (d) { return x(d.ts); })
             .attr('cy', function (d) { return y(d.val); })
-            .attr('r', 3).attr('fill', '#5b8bd6').attr('stroke', '#fff').attr('stroke-width', 1);
+            .attr('r', 3).attr('fill', '#5b8bd6').attr('stroke', '#fff').attr('stroke-width', 1)
+            .append('title').text(function (d) { return d3.timeFormat('%a %b %d')(d.ts) + ': ' + window.PanasSleep.describe(d.night); });
     }
 
     function ensureTooltip() {
@@ -485,17 +1308,21 @@
         var rows = [];
         try {
             var r = db.exec(
-                "SELECT ts, alignment_retro, retrospective, prospective FROM intent_checkins " +
-                "WHERE alignment_retro IS NOT NULL ORDER BY ts ASC"
+                "SELECT ts, alignment_retro, retrospective, prospective, target_words, alignment_goal, drift_flag, drift_response, drift_note, tz_offset FROM intent_checkins " +
+                "WHERE deleted = 0 AND alignment_retro IS NOT NULL ORDER BY ts ASC"
             );
             if (r.length) r[0].values.forEach(function (v) {
-                rows.push({ ts: new Date(v[0]), val: v[1], retro: v[2] || '', prospect: v[3] || '' });
+                rows.push({ ts: window.PanasTime.wallClock(v[0], v[9]), val: v[1], retro: v[2] || '', prospect: v[3] || '', goal: v[4] || '', toGoal: v[5],
+                    drift: !!v[6], response: v[7], note: v[8] || '' });
             });
         } catch (_) { }
+        var hadData = rows.length > 0;
+        var win = inRange(rows);
+        rows = win.rows;
 
         if (!rows.length) {
             svg.append('text').attr('class', 'intent-chart-empty')
-                .attr('x', 160).attr('y', 65).text('No alignment data yet');
+                .attr('x', 160).attr('y', 65).text(hadData ? 'No alignment data in this range' : 'No alignment data yet');
             return;
         }
 
@@ -503,7 +1330,7 @@
         var W = 320, H = 120, iw = W - m.l - m.r, ih = H - m.t - m.b;
         var g = svg.append('g').attr('transform', 'translate(' + m.l + ',' + m.t + ')');
 
-        var x = d3.scaleTime().domain(d3.extent(rows, function (d) { return d.ts; })).range([0, iw]);
+        var x = d3.scaleTime().domain(win.domain).range([0, iw]);
         var y = d3.scaleLinear().domain([0, 1]).range([ih, 0]);
 
         /* Threshold reference */
@@ -530,6 +1357,12 @@
             parts.push('Alignment: ' + (d.val * 100).toFixed(0) + '%');
             if (d.retro) parts.push('<span style="opacity:.6;font-size:.85em">Retro:</span> ' + esc(d.retro));
             if (d.prospect) parts.push('<span style="opacity:.6;font-size:.85em">Intent:</span> ' + esc(d.prospect));
+            if (d.goal) parts.push('<span style="opacity:.6;font-size:.85em">Goal:</span> ' + esc(d.goal) + ' (done vs goal ' + pctOrDash(d.toGoal) + ')');
+            if (d.drift) {
+                parts.push('<span style="opacity:.6;font-size:.85em">Drift:</span> ' +
+                    (DRIFT_RESPONSES[d.response] ? DRIFT_RESPONSES[d.response].toLowerCase() : 'not reflected on yet') +
+                    (d.note ? ' — ' + esc(d.note) : ''));
+            }
             return parts.join('<br>');
         }
 
@@ -562,6 +1395,66 @@
             .style('pointer-events', 'none');
     }
 
+    /* One goal's check-ins: what was done (retrospective) and what was planned
+       (prospective), each scored against the goal. Spans the goal's own
+       lifetime rather than the shared date window. */
+    var GOAL_SERIES = [
+        { key: 'done', label: 'done vs goal', color: '#8a5bbd', dash: null },
+        { key: 'planned', label: 'planned vs goal', color: '#d08a2e', dash: '4,3' }
+    ];
+
+    function drawGoalChart(goal) {
+        var svg = d3.select('#goal-chart');
+        if (svg.empty()) return;
+        svg.selectAll('*').remove();
+        var W = 640, H = 140;
+
+        var rows = [];
+        if (goal) {
+            var r = db.exec('SELECT ts, alignment_goal, alignment_prospect FROM intent_checkins ' +
+                'WHERE deleted = 0 AND goal_uid = ? ORDER BY ts ASC', [goal.uid]);
+            if (r.length) rows = r[0].values.map(function (v) { return { ts: new Date(v[0]), done: v[1], planned: v[2] }; });
+        }
+        if (!rows.some(function (d) { return d.done !== null || d.planned !== null; })) {
+            svg.append('text').attr('class', 'intent-chart-empty').attr('x', W / 2).attr('y', H / 2)
+                .text(goal ? 'No scored check-ins for this goal yet' : 'No goal selected');
+            return;
+        }
+
+        var m = { l: 32, r: 8, t: 16, b: 22 };
+        var iw = W - m.l - m.r, ih = H - m.t - m.b;
+        var g = svg.append('g').attr('transform', 'translate(' + m.l + ',' + m.t + ')');
+        var lo = new Date(goal.ts);
+        var hi = goal.completed_at ? new Date(goal.completed_at) : d3.max(rows, function (d) { return d.ts; });
+        if (hi - lo < 3600000) hi = new Date(lo.getTime() + 3600000);
+        var x = d3.scaleTime().domain([lo, hi]).range([0, iw]);
+        var y = d3.scaleLinear().domain([0, 1]).range([ih, 0]);
+
+        g.append('line').attr('x1', 0).attr('x2', iw)
+            .attr('y1', y(CFG.alignThreshold)).attr('y2', y(CFG.alignThreshold))
+            .attr('stroke', '#d9534f').attr('stroke-dasharray', '4,3').attr('opacity', 0.5);
+        g.append('g').attr('transform', 'translate(0,' + ih + ')')
+            .call(d3.axisBottom(x).ticks(6).tickFormat(d3.timeFormat('%b %d')))
+            .selectAll('text').style('font-size', '9px');
+        g.append('g').call(d3.axisLeft(y).ticks(4).tickFormat(function (v) { return (v * 100).toFixed(0) + '%'; }))
+            .selectAll('text').style('font-size', '9px');
+
+        GOAL_SERIES.forEach(function (s, i) {
+            var pts = rows.filter(function (d) { return d[s.key] !== null; });
+            g.append('path').datum(pts).attr('fill', 'none')
+                .attr('stroke', s.color).attr('stroke-width', 1.5).attr('stroke-dasharray', s.dash)
+                .attr('d', d3.line().x(function (d) { return x(d.ts); }).y(function (d) { return y(d[s.key]); }).curve(d3.curveMonotoneX));
+            g.selectAll('.goal-dot-' + s.key).data(pts).enter().append('circle')
+                .attr('class', 'goal-dot-' + s.key)
+                .attr('cx', function (d) { return x(d.ts); })
+                .attr('cy', function (d) { return y(d[s.key]); })
+                .attr('r', 2.5).attr('fill', s.color)
+                .append('title').text(function (d) { return d.ts.toLocaleString() + ' — ' + s.label + ' ' + pctOrDash(d[s.key]); });
+            g.append('text').attr('x', iw - i * 110).attr('y', -5).attr('text-anchor', 'end')
+                .style('font-size', '10px').attr('fill', s.color).text('— ' + s.label);
+        });
+    }
+
     function drawCharts() {
         drawSleepChart();
         drawAlignChart();
@@ -577,21 +1470,43 @@
             console.error('Intent module: PANAS DB not available');
             return;
         }
-        initSchema();
         injectChartStyles();
+        loadSettings();
         buildUI();
         renderLastIntent();
+        renderGoals();
+        renderDriftSummary();
         drawCharts();
+        updateCollapseWarning();
+        requestNotifyPermission();
         startNotifyLoop();
-        /* load embedding model async — non-blocking */
+        window.addEventListener('panas-range-change', drawCharts);
+        /* load embedding model async — non-blocking; BM25 scores meanwhile */
+        refreshCorpus();
+        renderModelSettings();
         initEmbeddings();
     }
 
     /* Expose a refresh hook so cloud sync can re-render after merge */
     window.panasRefreshIntent = function () {
         if (!db) return;
+        /* the live DB may have been swapped (import / snapshot restore) */
+        db = window.panasDB;
+        /* ...and may carry settings changed on another device; the form is only
+           rebuilt then, so a refresh doesn't take it from under someone typing */
+        if (loadSettings()) renderSettings();
+        refreshCorpus();
+        renderModelSettings();
+        startNotifyLoop();
         renderLastIntent();
+        renderGoals();
+        renderDriftSummary();
         drawCharts();
+        updateCollapseWarning();
+    };
+
+    window.panasIntentSummary = function (sinceISO, untilISO) {
+        return db ? periodSummary(sinceISO, untilISO) : null;
     };
 
     if (window.panasDB) {
@@ -0,0 +1,188 @@
+/**
+ * PanasMerge — row-level merge of one SQLite database into another
+ *
+ * Shared by cloud sync and .sqlite merge-import. Rows are matched on uid (see
+ * schema.js v3) and resolved last-writer-wins on updated_at:
+ *   – unknown uid          → new, inserted (tombstones too, so deletes propagate)
+ *   – same uid, same data  → duplicate, left alone
+ *   – same uid, different  → conflict, the newer updated_at wins; on equal
+ *                            stamps the row whose data sorts higher (tieKey),
+ *                            so both sides pick the same one
+ *
+ *   plan(srcDB, dstDB)  → { tables: [{ table, cols, rows: [{ status, remote, local, remoteWins }] }],
+ *                           counts: { table: { new, duplicate, conflict, incoming, localOnly } } }
+ *   apply(dstDB, plan)  → { inserted, updated, deleted }
+ *   supersede(restoredDB, currentDB, now) → rows stamped, for a copy about to replace currentDB
+ *
+ * Both databases must already be migrated. plan() only reads, so callers can
+ * preview a merge before committing to it.
+ *
+ * Loaded before the main script; depends on window.PanasSchema.
+ */
+window.PanasMerge = (function () {
+    'use strict';
+
+    var TABLES = ['entries', 'sleep_nights', 'sleep_log', 'intent_checkins', 'instruments', 'entry_tags', 'settings', 'intent_goals'];
+    var META_COLS = ['uid', 'updated_at'];
+
+    /* Column values in name order, so every device serialises a row the same way */
+    function tieKey(row, dataCols) {
+        return JSON.stringify(dataCols.slice().sort().map(function (c) { return row[c] === undefined ? null : row[c]; }));
+    }
+
+    function remoteNewer(remote, mine, dataCols) {
+        var r = remote.updated_at || '', l = mine.updated_at || '';
+        return r !== l ? r > l : tieKey(remote, dataCols) > tieKey(mine, dataCols);
+    }
+
+    function rowToObj(cols, row) {
+        var o = {};
+        cols.forEach(function (c, i) { o[c] = row[i]; });
+        return o;
+    }
+
+    /* ================================================================
+       Plan
+       ================================================================ */
+    function planTable(srcDB, dstDB, table) {
+        var srcCols = window.PanasSchema.columns(srcDB, table);
+        var dstCols = window.PanasSchema.columns(dstDB, table);
+        if (!srcCols.length || !dstCols.length || srcCols.indexOf('uid') < 0) return null;
+
+        var cols = srcCols.filter(function (c) { return c !== 'id' && dstCols.indexOf(c) >= 0; });
+        var dataCols = cols.filter(function (c) { return META_COLS.indexOf(c) < 0; });
+        var colList = cols.map(function (c) { return '"' + c + '"'; }).join(',');
+
+        var local = {};
+        var dstRes = dstDB.exec('SELECT ' + colList + ' FROM ' + table);
+        if (dstRes.length) dstRes[0].values.forEach(function (v) {
+            var o = rowToObj(cols, v);
+            local[o.uid] = o;
+        });
+
+        var out = { table: table, cols: cols, rows: [], localOnly: 0 };
+        var seen = {};
+        var srcRes = srcDB.exec('SELECT ' + colList + ' FROM ' + table);
+        if (srcRes.length) srcRes[0].values.forEach(function (v) {
+            var remote = rowToObj(cols, v);
+            if (!remote.uid) return;
+            seen[remote.uid] = true;
+            var mine = local[remote.uid] || null;
+            if (!mine) {
+                out.rows.push({ status: 'new', remote: remote, local: null, remoteWins: true });
+                return;
+            }
+            var differs = dataCols.some(function (c) { return mine[c] !== remote[c]; });
+            out.rows.push({
+                status: differs ? 'conflict' : 'duplicate',
+                remote: remote,
+                local: mine,
+                remoteWins: differs && remoteNewer(remote, mine, dataCols)
+            });
+        });
+        /* live rows the source doesn't know about — what a wholesale replace would lose */
+        Object.keys(local).forEach(function (uid) {
+            if (!seen[uid] && !local[uid].deleted) out.localOnly++;
+        });
+        return out;
+    }
+
+    function plan(srcDB, dstDB) {
+        var result = { tables: [], counts: {} };
+        TABLES.forEach(function (t) {
+            var p = planTable(srcDB, dstDB, t);
+            var c = { new: 0, duplicate: 0, conflict: 0, incoming: 0, localOnly: 0 };
+            if (p) {
+                c.localOnly = p.localOnly;
+                p.rows.forEach(function (r) {
+                    /* a tombstone for a row we never had is bookkeeping, not a new entry */
+                    if (r.status === 'new' && r.remote.deleted) return;
+                    c[r.status]++;
+                    if (r.status === 'conflict' && r.remoteWins) c.incoming++;
+                });
+                result.tables.push(p);
+            }
+            result.counts[t] = c;
+        });
+        return result;
+    }
+
+    /* ================================================================
+       Apply
+       ================================================================ */
+    function apply(dstDB, mergePlan) {
+        var report = { inserted: 0, updated: 0, deleted: 0 };
+        dstDB.exec('BEGIN');
+        try {
+            mergePlan.tables.forEach(function (p) {
+                var colList = p.cols.map(function (c) { return '"' + c + '"'; }).join(',');
+                var insertQ = 'INSERT INTO ' + p.table + ' (' + colList + ') VALUES (' + p.cols.map(function () { return '?'; }).join(',') + ')';
+                var updateQ = 'UPDATE ' + p.table + ' SET ' + p.cols.map(function (c) { return '"' + c + '"=?'; }).join(',') + ' WHERE uid=?';
+                p.rows.forEach(function (r) {
+                    if (!r.remoteWins) return;
+                    var vals = p.cols.map(function (c) { return r.remote[c]; });
+                    try {
+                        if (!r.local) {
+                            dstDB.run(insertQ, vals);
+                            if (r.remote.deleted) report.deleted++; else report.inserted++;
+                        } else {
+                            dstDB.run(updateQ, vals.concat([r.remote.uid]));
+                            if (r.remote.deleted && !r.local.deleted) report.deleted++; else report.updated++;
+                        }
+                    } catch (e) {
+                        console.warn('PanasMerge: merge row failed for ' + p.table, e.message);
+                    }
+                });
+            });
+            dstDB.exec('COMMIT');
+        } catch (e) {
+            dstDB.exec('ROLLBACK');
+            throw e;
+        }
+        return report;
+    }
+
+    /* ================================================================
+       Supersede
+       ================================================================ */
+    /* A snapshot or pre-import copy that replaces the current database keeps
+       its old updated_at stamps, so the next merge with the cloud would bring
+       back whatever it was meant to undo (a Clear DB, an import). Stamp `now`
+       on every row it holds that differs from currentDB (deleted 1 → 0
+       included), and add tombstones for live rows only currentDB has, so the
+       restored state wins on every device. restoredDB is migrated here. */
+    function supersede(restoredDB, currentDB, now) {
+        window.PanasSchema.migrate(restoredDB);
+        var p = plan(currentDB, restoredDB), n = 0;
+        restoredDB.exec('BEGIN');
+        try {
+            p.tables.forEach(function (t) {
+                var insertQ = 'INSERT INTO ' + t.table + ' (' + t.cols.map(function (c) { return '"' + c + '"'; }).join(',') +
+                    ') VALUES (' + t.cols.map(function () { return '?'; }).join(',') + ')';
+                t.rows.forEach(function (r) {
+                    if (r.status === 'conflict') {
+                        restoredDB.run('UPDATE ' + t.table + ' SET updated_at=? WHERE uid=?', [now, r.remote.uid]);
+                        n++;
+                    } else if (r.status === 'new' && !r.remote.deleted) {
+                        restoredDB.run(insertQ, t.cols.map(function (c) {
+                            return c === 'deleted' ? 1 : c === 'updated_at' ? now : r.remote[c];
+                        }));
+                        n++;
+                    }
+                });
+            });
+            restoredDB.exec('COMMIT');
+        } catch (e) {
+            restoredDB.exec('ROLLBACK');
+            throw e;
+        }
+        return n;
+    }
+
+    return {
+        TABLES: TABLES,
+        plan: plan,
+        apply: apply,
+        supersede: supersede
+    };
+})();
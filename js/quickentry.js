@@ -0,0 +1,360 @@
+/**
+ * PanasQuickEntry — one-item-at-a-time rating for phones, and the unsaved draft
+ *
+ * Quick entry steps through the items in the windrose's (shuffled) order with
+ * a row of large rating buttons; tapping one rates the item and moves on.
+ * Swipe left / right (or the arrow keys) to skip ahead or go back, digits rate
+ * from a keyboard. The last step takes the log and hours slept, and Save
+ * commits through the main script's save path (window.panasSaveEntry), so
+ * scoring, tags and refreshes are the same as the Save button's.
+ *
+ * The draft: every rating the user makes on the windrose, the list form or
+ * here ('panas-rating-input'), and whatever is typed into the log and every
+ * sleep field (night, bed and wake times, hours, quality, naps), is kept in
+ * localStorage until the entry is saved, so a reload or a closed tab loses
+ * nothing. Logging the night on its own drops the sleep fields (forgetSleep). It holds only what was actually touched; the
+ * main script lays it over the latest entry (startValues) and it belongs to
+ * one questionnaire. Edits of an existing entry are not drafted.
+ *
+ *   draft(instrumentUid)  → { instrument, values, log, hours, night, bed, wake, quality, naps, ts } | null
+ *   clearDraft(), forgetSleep()
+ *   open()                start quick entry at the first item not yet rated
+ *
+ * UI: the Quick entry button and draft notice go into #quick-anchor once
+ * 'panas-db-ready' fires.
+ *
+ * Loaded before the main script. Depends on (at run time): window.panasItems,
+ * window.panasWindrose ({ labels(), values(), set(label, v), editing() }),
+ * window.panasSaveEntry, window.panasRefreshFromDb, window.PanasSleep (its form fields)
+ */
+window.PanasQuickEntry = (function () {
+    'use strict';
+
+    var LS_DRAFT = 'panas_entry_draft';
+    /* draft key → form field; hours is also mirrored from quick entry's last step */
+    var FIELDS = {
+        log: 'log', night: 'sleep-night', bed: 'sleep-bed', wake: 'sleep-wake',
+        hours: 'hours-slept', quality: 'sleep-quality', naps: 'sleep-naps'
+    };
+    var SLEEP_KEYS = ['night', 'bed', 'wake', 'hours', 'quality', 'naps'];
+    var SWIPE_PX = 50;
+    var ADVANCE_MS = 180;     // keep the tapped button visible for a moment before moving on
+
+    var step = 0;             // index into the label order; labels.length = log & sleep step
+    var advanceTimer = null;
+    var swipeStart = null;
+
+    /* ================================================================
+       Draft
+       ================================================================ */
+    function readDraft() {
+        try {
+            var d = JSON.parse(localStorage.getItem(LS_DRAFT));
+            if (d && d.values && typeof d.values === 'object') return d;
+        } catch (_) { /* none */ }
+        return null;
+    }
+
+    function draft(instrumentUid) {
+        var d = readDraft();
+        return d && d.instrument === instrumentUid ? d : null;
+    }
+
+    function clearDraft() {
+        localStorage.removeItem(LS_DRAFT);
+        renderNotice();
+    }
+
+    /* Apply `change` ({ label, value } and/or FIELDS keys) to the draft of the active questionnaire */
+    function updateDraft(change) {
+        if (!window.panasItems || (window.panasWindrose && window.panasWindrose.editing())) return;
+        var uid = window.panasItems.instrument.uid;
+        var d = draft(uid) || { instrument: uid, values: {}, log: '', hours: '' };
+        if (change.label != null) d.values[change.label] = change.value;
+        Object.keys(FIELDS).forEach(function (k) { if (change[k] != null) d[k] = change[k]; });
+        d.ts = new Date().toISOString();
+        if (!Object.keys(d.values).length && !Object.keys(FIELDS).some(function (k) { return d[k]; })) localStorage.removeItem(LS_DRAFT);
+        else localStorage.setItem(LS_DRAFT, JSON.stringify(d));
+        renderNotice();
+    }
+
+    /* The night was logged on its own: keep the ratings and log, not the sleep fields */
+    function forgetSleep() {
+        var change = {};
+        SLEEP_KEYS.forEach(function (k) { change[k] = ''; });
+        if (currentDraft()) updateDraft(change);
+    }
+
+    function currentDraft() {
+        return window.panasItems ? draft(window.panasItems.instrument.uid) : null;
+    }
+
+    function discard() {
+        clearDraft();
+        document.getElementById('log').value = '';
+        window.PanasSleep.clear();
+        if (window.panasRefreshFromDb) window.panasRefreshFromDb();
+        document.getElementById('status').textContent = 'Draft discarded.';
+    }
+
+    /* ================================================================
+       Quick entry
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-quickentry-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-quickentry-css';
+        style.textContent = [
+            '.qe-notice{font-size:12px;color:#8a6d00;}',
+            '.qe-notice button{border:none;background:none;padding:0 .2rem;color:#2a5d8a;text-decoration:underline;font-size:12px;cursor:pointer;}',
+            '.qe-overlay{position:fixed;inset:0;background:rgba(0,0,0,.35);display:flex;align-items:center;justify-content:center;z-index:1000;}',
+            '.qe-overlay[hidden]{display:none;}',
+            '.qe-dialog{background:#fff;border-radius:12px;width:100%;max-width:480px;padding:1rem 1.2rem 1.2rem;box-sizing:border-box;box-shadow:0 4px 24px rgba(0,0,0,.2);}',
+            '.qe-top{display:flex;justify-content:space-between;align-items:center;font-size:13px;color:#888;}',
+            '.qe-top button{border:none;font-size:18px;padding:.2rem .5rem;}',
+            '.qe-progress{height:6px;background:#eee;border-radius:3px;margin:.5rem 0 1rem;overflow:hidden;}',
+            '.qe-progress div{height:100%;background:#1f77b4;transition:width .15s;}',
+            '.qe-card{min-height:14rem;touch-action:pan-y;user-select:none;}',
+            '.qe-card h3{font-size:1.6rem;margin:.5rem 0 .3rem;text-align:center;}',
+            '.qe-hint{text-align:center;font-size:13px;color:#888;margin-bottom:1rem;}',
+            '.qe-scale{display:flex;gap:.4rem;}',
+            '.qe-scale button{flex:1;min-height:64px;font-size:1.5rem;padding:0;border:2px solid #ddd;}',
+            '.qe-scale button[aria-pressed=true]{border-color:#1f77b4;}',
+            '.qe-scale button.rated[aria-pressed=true]{background:#1f77b4;color:#fff;}',
+            '.qe-card textarea{height:6rem;}',
+            '.qe-card label{display:block;font-size:13px;color:#555;margin-top:.6rem;}',
+            '.qe-card input[type=number]{width:6rem;font-size:16px;padding:.3rem;}',
+            '.qe-summary{font-size:13px;color:#888;margin:.6rem 0;}',
+            '.qe-nav{display:flex;justify-content:space-between;margin-top:1rem;}',
+            '.qe-nav button{min-height:48px;min-width:7rem;}',
+            '.qe-save{background:#1f77b4;color:#fff;border-color:#1f77b4;}',
+            '.qe-save:hover{background:#17609a;}',
+            '@media (max-width:600px){.qe-overlay{align-items:stretch;}.qe-dialog{max-width:none;border-radius:0;}' +
+            '#qe-open{font-size:15px;padding:.6rem 1rem;}}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function el(id) { return document.getElementById(id); }
+
+    function scale() {
+        var def = window.panasItems.instrument;
+        var out = [];
+        for (var v = def.scale_min; v <= def.scale_max; v++) out.push(v);
+        return out;
+    }
+
+    function render() {
+        var labels = window.panasWindrose.labels();
+        var d = currentDraft();
+        var rated = d ? d.values : {};
+        var nRated = labels.filter(function (l) { return rated[l] != null; }).length;
+        var card = el('qe-card');
+        clearTimeout(advanceTimer);
+
+        el('qe-count').textContent = step < labels.length
+            ? 'Item ' + (step + 1) + ' of ' + labels.length + ' · ' + nRated + ' rated'
+            : nRated + ' of ' + labels.length + ' rated';
+        var bar = el('qe-progress');
+        bar.setAttribute('aria-valuemax', labels.length);
+        bar.setAttribute('aria-valuenow', nRated);
+        bar.firstChild.style.width = (100 * nRated / labels.length) + '%';
+        el('qe-prev').disabled = step === 0;
+        el('qe-next').hidden = step >= labels.length;
+        card.innerHTML = '';
+
+        if (step < labels.length) {
+            var label = labels[step];
+            var cur = window.panasWindrose.values()[label];
+            var sc = scale();
+            var h = document.createElement('h3');
+            h.id = 'qe-title';
+            h.textContent = label;
+            var hint = document.createElement('div');
+            hint.className = 'qe-hint';
+            hint.textContent = rated[label] != null ? 'Rated ' + rated[label] + ' — tap to change'
+                : 'From ' + sc[0] + ' (not at all) to ' + sc[sc.length - 1] + ' (extremely)';
+            var row = document.createElement('div');
+            row.className = 'qe-scale';
+            row.setAttribute('role', 'group');
+            row.setAttribute('aria-labelledby', 'qe-title');
+            sc.forEach(function (v) {
+                var b = document.createElement('button');
+                b.textContent = v;
+                b.setAttribute('aria-pressed', String(v === cur));
+                if (rated[label] != null) b.className = 'rated';
+                b.onclick = function () { rate(v); };
+                row.appendChild(b);
+            });
+            card.append(h, hint, row);
+            return;
+        }
+
+        card.innerHTML =
+            '<h3 id="qe-title">Log &amp; sleep</h3>' +
+            '<label for="qe-log">Log</label><textarea id="qe-log" placeholder="Log..."></textarea>' +
+            '<label for="qe-hours">Sleep (h)</label><input type="number" id="qe-hours" step="0.5" min="0" max="24" placeholder="7.5">' +
+            '<div class="qe-summary" id="qe-summary"></div>' +
+            '<button id="qe-save" class="qe-save">Save entry</button>';
+        el('qe-log').value = el('log').value;
+        el('qe-hours').value = el('hours-slept').value;
+        var left = labels.length - nRated;
+        el('qe-summary').textContent = left ? left + ' item' + (left === 1 ? '' : 's') +
+            ' not rated here keep the value shown on the windrose (the last entry\'s).' : 'All items rated.';
+        // mirrored into the main form, so the Save path reads them from there
+        el('qe-log').oninput = function () { el('log').value = this.value; updateDraft({ log: this.value }); };
+        el('qe-hours').oninput = function () { el('hours-slept').value = this.value; updateDraft({ hours: this.value }); };
+        el('qe-save').onclick = save;
+    }
+
+    function focusStep() {
+        var b = document.querySelector('#qe-card button[aria-pressed=true]') || document.querySelector('#qe-card button, #qe-card textarea');
+        if (b) b.focus();
+    }
+
+    function go(delta) {
+        var n = window.panasWindrose.labels().length;
+        var next = Math.max(0, Math.min(n, step + delta));
+        if (next === step) return;
+        step = next;
+        render();
+        focusStep();
+    }
+
+    function rate(v) {
+        var label = window.panasWindrose.labels()[step];
+        window.panasWindrose.set(label, v);
+        updateDraft({ label: label, value: v });   // also when v was already shown: it is rated now
+        render();
+        advanceTimer = setTimeout(function () { go(1); }, ADVANCE_MS);
+    }
+
+    async function save() {
+        el('qe-save').disabled = true;
+        var ok = await window.panasSaveEntry({ download: false });
+        if (ok) close();
+        else el('qe-save').disabled = false;
+    }
+
+    function open() {
+        if (window.panasWindrose.editing()) {
+            el('status').textContent = 'Finish or cancel the entry being edited first.';
+            return;
+        }
+        var labels = window.panasWindrose.labels();
+        var d = currentDraft();
+        step = labels.findIndex(function (l) { return !d || d.values[l] == null; });
+        if (step < 0) step = labels.length;
+        el('qe-overlay').hidden = false;
+        render();
+        focusStep();
+    }
+
+    function close() {
+        clearTimeout(advanceTimer);
+        el('qe-overlay').hidden = true;
+        el('qe-open').focus();
+    }
+
+    function onKey(e) {
+        if (e.key === 'Escape') { close(); return; }
+        if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
+        var digit = /^\d$/.test(e.key) ? +e.key : NaN;
+        var sc = scale();
+        if (e.key === 'ArrowRight') go(1);
+        else if (e.key === 'ArrowLeft') go(-1);
+        else if (digit >= sc[0] && digit <= sc[sc.length - 1] && step < window.panasWindrose.labels().length) rate(digit);
+        else return;
+        e.preventDefault();
+    }
+
+    function onPointerDown(e) { swipeStart = { x: e.clientX, y: e.clientY }; }
+
+    function onPointerUp(e) {
+        if (!swipeStart) return;
+        var dx = e.clientX - swipeStart.x, dy = e.clientY - swipeStart.y;
+        swipeStart = null;
+        if (Math.abs(dx) < SWIPE_PX || Math.abs(dx) < Math.abs(dy)) return;
+        go(dx < 0 ? 1 : -1);   // swipe left → next item
+    }
+
+    /* ================================================================
+       Mount
+       ================================================================ */
+    function renderNotice() {
+        var box = el('qe-notice');
+        if (!box) return;
+        var d = currentDraft();
+        box.innerHTML = '';
+        if (!d) return;
+        var n = Object.keys(d.values).length;
+        box.append('Unsaved entry from ' + new Date(d.ts).toLocaleString() + (n ? ' (' + n + ' rated)' : '') + ' ');
+        var b = document.createElement('button');
+        b.textContent = 'Discard';
+        b.onclick = discard;
+        box.appendChild(b);
+    }
+
+    function mountUI() {
+        var anchor = el('quick-anchor');
+        if (!anchor || el('qe-open')) return;
+        injectStyles();
+        anchor.innerHTML = '<button id="qe-open">Quick entry</button> <span id="qe-notice" class="qe-notice" aria-live="polite"></span>';
+        var overlay = document.createElement('div');
+        overlay.id = 'qe-overlay';
+        overlay.className = 'qe-overlay';
+        overlay.hidden = true;
+        overlay.innerHTML =
+            '<div class="qe-dialog" role="dialog" aria-modal="true" aria-labelledby="qe-title">' +
+            '  <div class="qe-top"><span id="qe-count" aria-live="polite"></span><button id="qe-close" aria-label="Close quick entry (the draft is kept)">✕</button></div>' +
+            '  <div class="qe-progress" id="qe-progress" role="progressbar" aria-label="Items rated" aria-valuemin="0"><div></div></div>' +
+            '  <div class="qe-card" id="qe-card"></div>' +
+            '  <div class="qe-nav"><button id="qe-prev">‹ Back</button><button id="qe-next">Skip ›</button></div>' +
+            '</div>';
+        document.body.appendChild(overlay);
+        el('qe-open').onclick = open;
+        el('qe-close').onclick = close;
+        el('qe-prev').onclick = function () { go(-1); };
+        el('qe-next').onclick = function () { go(1); };
+        overlay.addEventListener('keydown', onKey);
+        el('qe-card').addEventListener('pointerdown', onPointerDown);
+        el('qe-card').addEventListener('pointerup', onPointerUp);
+        el('qe-card').addEventListener('pointercancel', function () { swipeStart = null; });
+
+        Object.keys(FIELDS).forEach(function (k) {
+            el(FIELDS[k]).addEventListener('input', function () { var c = {}; c[k] = this.value; updateDraft(c); });
+        });
+
+        // The main script restored the ratings (startValues); bring back the text and sleep fields.
+        // The night is only drafted when picked by hand, and 'change' tells js/sleep.js so.
+        var d = currentDraft();
+        if (d) {
+            if (d.night) {
+                el('sleep-night').value = d.night;
+                el('sleep-night').dispatchEvent(new Event('change'));
+            }
+            Object.keys(FIELDS).forEach(function (k) {
+                if (k !== 'night' && d[k] && !el(FIELDS[k]).value) el(FIELDS[k]).value = d[k];
+            });
+        }
+        renderNotice();
+    }
+
+    window.addEventListener('panas-rating-input', function (e) {
+        if (!e.detail.editing) updateDraft({ label: e.detail.label, value: e.detail.value });
+    });
+    window.addEventListener('panas-instrument-change', renderNotice);
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        draft: draft,
+        forgetSleep: forgetSleep,
+        clearDraft: clearDraft,
+        open: open
+    };
+})();
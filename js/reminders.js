@@ -0,0 +1,432 @@
+/**
+ * PanasReminders — rating reminders, streaks and the day calendar
+ *
+ * Reminders fire at fixed times of day (default 09:00 and 21:00, off until
+ * enabled). Like the intent check-in prompt they are polled from the page
+ * rather than scheduled in a service worker: once a minute the latest
+ * reminder time that has passed is looked up, and if no entry was made since
+ * halfway between it and the reminder before, a browser notification (when
+ * permitted) and a banner above the streaks ask for a rating. Each reminder
+ * notifies once per device; dismissing the banner silences it until the next
+ * reminder time.
+ *
+ * Streaks count local calendar days with at least one entry (any
+ * questionnaire). Today only extends a streak once it has an entry, and does
+ * not break it before then. The calendar heatmap shows the last WEEKS weeks;
+ * a day with entries opens it on the timeseries, an empty one offers to
+ * backfill it.
+ *
+ * Backfill: when yesterday has no entry, a note under the controls offers
+ * to save the rating on the windrose for a chosen time yesterday, through
+ * window.panasSaveEntry({ ts }).
+ *
+ * Settings are synced rows of js/settings.js ('reminders.enabled',
+ * 'reminders.times'); what was notified or dismissed is per device.
+ *
+ * Depends on: window.panasDB, window.PanasSettings, window.PanasTime, window.panasPersist,
+ *   window.panasSaveEntry, window.panasFocusEntry, window.PanasQuickEntry (optional)
+ */
+window.PanasReminders = (function () {
+    'use strict';
+
+    var DEFAULTS = { enabled: false, times: ['09:00', '21:00'] };
+    var MAX_TIMES = 4;
+    var WEEKS = 26;
+    var MISSED_DAYS = 30;           // "missed N of the last 30 days"
+    var POLL_MS = 60 * 1000;
+    var BACKFILL_HOUR = 20;         // default time offered for a missed day
+    var LS_FIRED = 'panas_reminder_fired';
+    var LS_DISMISSED = 'panas_reminder_dismissed';
+    var LS_BACKFILL_DISMISSED = 'panas_backfill_dismissed';
+    var COLORS = ['#ebedf0', '#b6d4ee', '#6fa8dc', '#1f77b4'];   // 0, 1, 2, 3+ entries
+    var TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    var CFG = { enabled: DEFAULTS.enabled, times: DEFAULTS.times.slice() };
+    var pollTimer = null;
+    var refreshTimer = null;
+    var backfillDay = null;         // day picked on the calendar; overrides the yesterday prompt
+
+    /* ================================================================
+       Days
+       ================================================================ */
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+    function dayKey(d) { return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()); }
+
+    function addDays(d, n) {
+        var out = new Date(d);
+        out.setDate(out.getDate() + n);
+        return out;
+    }
+
+    function startOfDay(d) {
+        var out = new Date(d);
+        out.setHours(0, 0, 0, 0);
+        return out;
+    }
+
+    function fmtDay(d) { return d.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' }); }
+
+    /* dayKey → { count, first } (first = ISO ts of the day's earliest entry) */
+    function entryDays(db) {
+        var days = {};
+        var res = db.exec('SELECT ts, tz_offset FROM entries WHERE deleted=0 ORDER BY ts');
+        (res.length ? res[0].values : []).forEach(function (v) {
+            var d = window.PanasTime.wallClock(v[0], v[1]);   // the day where it was recorded
+            if (isNaN(d)) return;
+            var k = dayKey(d);
+            if (!days[k]) days[k] = { count: 0, first: v[0] };
+            days[k].count++;
+        });
+        return days;
+    }
+
+    function streaks(days, today) {
+        today = startOfDay(today || new Date());
+        var d = days[dayKey(today)] ? today : addDays(today, -1);
+        var current = 0;
+        while (days[dayKey(d)]) { current++; d = addDays(d, -1); }
+
+        var keys = Object.keys(days).sort();
+        var longest = 0, run = 0, prev = null;
+        keys.forEach(function (k) {
+            var p = k.split('-');
+            var day = new Date(+p[0], p[1] - 1, +p[2]);
+            run = prev && dayKey(addDays(prev, 1)) === k ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            prev = day;
+        });
+
+        // Days before today without an entry, from the first entry on
+        var missed = 0, counted = 0;
+        for (var i = 1; i <= MISSED_DAYS; i++) {
+            var k = dayKey(addDays(today, -i));
+            if (!keys.length || k < keys[0]) break;
+            counted++;
+            if (!days[k]) missed++;
+        }
+        return { current: current, longest: longest, missed: missed, counted: counted };
+    }
+
+    /* ================================================================
+       Settings (js/settings.js rows 'reminders.<key>')
+       ================================================================ */
+    function settingError(key, v) {
+        if (key === 'enabled') return typeof v === 'boolean' ? '' : 'Invalid reminder switch.';
+        if (key === 'times') {
+            if (!Array.isArray(v) || !v.length || v.length > MAX_TIMES) return 'Set between 1 and ' + MAX_TIMES + ' reminder times.';
+            if (!v.every(function (t) { return TIME_RE.test(t); })) return 'Reminder times are hours and minutes, e.g. 09:00.';
+            if (new Set(v).size !== v.length) return 'Each reminder time can only be set once.';
+            return '';
+        }
+        return 'Unknown setting: ' + key;
+    }
+
+    function loadSettings() {
+        var stored = window.PanasSettings.all(window.panasDB, 'reminders.');
+        Object.keys(DEFAULTS).forEach(function (k) {
+            var v = stored['reminders.' + k];
+            CFG[k] = v !== undefined && !settingError(k, v) ? v : JSON.parse(JSON.stringify(DEFAULTS[k]));
+        });
+    }
+
+    function saveSetting(key, value) {
+        var err = value === null ? '' : settingError(key, value);
+        if (err) return err;
+        window.PanasSettings.set(window.panasDB, 'reminders.' + key, value, new Date().toISOString());
+        window.panasPersist();
+        loadSettings();
+        check();
+        return '';
+    }
+
+    /* ================================================================
+       Reminders
+       ================================================================ */
+    function atTime(day, hhmm) {
+        var p = hhmm.split(':');
+        var d = new Date(day);
+        d.setHours(+p[0], +p[1], 0, 0);
+        return d;
+    }
+
+    /* The latest reminder time not after `now`, with the one before it → { at, since, key } */
+    function currentSlot(now) {
+        var times = CFG.times.slice().sort();
+        var slots = [];
+        [-2, -1, 0].forEach(function (off) {
+            var day = addDays(startOfDay(now), off);
+            times.forEach(function (t) { slots.push(atTime(day, t)); });
+        });
+        slots = slots.filter(function (d) { return d <= now; });
+        var at = slots[slots.length - 1], prev = slots[slots.length - 2];
+        return {
+            at: at,
+            since: new Date((at.getTime() + prev.getTime()) / 2),
+            key: dayKey(at) + ' ' + pad(at.getHours()) + ':' + pad(at.getMinutes())
+        };
+    }
+
+    function partOfDay(d) {
+        var h = d.getHours();
+        return h < 5 ? 'night' : h < 12 ? 'morning' : h < 17 ? 'afternoon' : h < 22 ? 'evening' : 'night';
+    }
+
+    function dueSlot(now) {
+        if (!CFG.enabled) return null;
+        var slot = currentSlot(now || new Date());
+        var res = window.panasDB.exec('SELECT 1 FROM entries WHERE deleted=0 AND ts >= ? LIMIT 1', [slot.since.toISOString()]);
+        return res.length ? null : slot;
+    }
+
+    function notify(slot) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        new Notification('Mood rating', {
+            body: 'Time for your ' + partOfDay(slot.at) + ' rating — how do you feel right now?',
+            tag: 'panas-reminder'
+        });
+    }
+
+    function check() {
+        var box = document.getElementById('rm-due');
+        var slot = dueSlot();
+        if (slot && localStorage.getItem(LS_FIRED) !== slot.key) {
+            localStorage.setItem(LS_FIRED, slot.key);
+            notify(slot);
+        }
+        if (!box) return;
+        if (!slot || localStorage.getItem(LS_DISMISSED) === slot.key) { box.hidden = true; return; }
+        box.hidden = false;
+        box.innerHTML = '<strong>Time for your ' + partOfDay(slot.at) + ' rating.</strong> ';
+        if (window.PanasQuickEntry) {
+            var quick = document.createElement('button');
+            quick.textContent = 'Quick entry';
+            quick.onclick = function () { window.PanasQuickEntry.open(); };
+            box.appendChild(quick);
+        }
+        var later = document.createElement('button');
+        later.textContent = 'Dismiss';
+        later.onclick = function () { localStorage.setItem(LS_DISMISSED, slot.key); box.hidden = true; };
+        box.append(' ', later);
+    }
+
+    function startPolling() {
+        clearInterval(pollTimer);
+        check();
+        pollTimer = setInterval(check, POLL_MS);
+    }
+
+    /* ================================================================
+       Backfill
+       ================================================================ */
+    function localInputValue(d) {
+        return dayKey(d) + 'T' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+    }
+
+    function renderBackfill(days) {
+        var box = document.getElementById('rm-backfill');
+        var yesterday = addDays(startOfDay(new Date()), -1);
+        var day = backfillDay;
+        if (!day && Object.keys(days).length && !days[dayKey(yesterday)] &&
+            localStorage.getItem(LS_BACKFILL_DISMISSED) !== dayKey(yesterday)) day = yesterday;
+        if (!day) { box.hidden = true; return; }
+
+        var when = atTime(day, pad(BACKFILL_HOUR) + ':00');
+        box.hidden = false;
+        box.innerHTML =
+            'Nothing logged ' + (dayKey(day) === dayKey(yesterday) ? 'yesterday (' + fmtDay(day) + ')' : 'on ' + fmtDay(day)) +
+            '. If you remember how it went, set the windrose to match and save it for ' +
+            '<input type="datetime-local" id="rm-when" aria-label="Time the entry is for"> ' +
+            '<button id="rm-backfill-save">Save for that time</button> <button id="rm-backfill-skip">Not now</button>' +
+            '<span id="rm-backfill-msg" class="rm-msg"></span>';
+        var input = document.getElementById('rm-when');
+        input.value = localInputValue(when);
+        input.max = localInputValue(new Date());
+        document.getElementById('rm-backfill-skip').onclick = function () {
+            if (!backfillDay) localStorage.setItem(LS_BACKFILL_DISMISSED, dayKey(day));
+            backfillDay = null;
+            box.hidden = true;
+        };
+        document.getElementById('rm-backfill-save').onclick = async function () {
+            var ts = new Date(input.value);
+            var msg = document.getElementById('rm-backfill-msg');
+            var problem = window.PanasTime.problem(window.panasDB, 'entries', isNaN(ts) ? null : ts.toISOString(), true);
+            if (problem) { msg.textContent = problem; return; }
+            if (await window.panasSaveEntry({ download: false, ts: ts.toISOString() })) {
+                backfillDay = null;
+                document.getElementById('status').textContent = 'Saved an entry for ' + ts.toLocaleString() + '.';
+                render();
+            }
+        };
+    }
+
+    /* ================================================================
+       Calendar + streaks
+       ================================================================ */
+    function drawHeatmap(days) {
+        var holder = document.getElementById('rm-heatmap');
+        var cell = 12, gap = 2, left = 26, top = 14;
+        var today = startOfDay(new Date());
+        var monday = addDays(today, -((today.getDay() + 6) % 7));
+        var start = addDays(monday, -7 * (WEEKS - 1));
+        var cells = [];
+        for (var i = 0, d = start; d <= today; i++, d = addDays(d, 1)) {
+            var k = dayKey(d);
+            cells.push({ day: d, key: k, week: Math.floor(i / 7), row: i % 7, n: days[k] ? days[k].count : 0 });
+        }
+        var active = cells.filter(function (c) { return c.n; }).length;
+        holder.innerHTML = '';
+        var svg = d3.select(holder).append('svg')
+            .attr('viewBox', [0, 0, left + WEEKS * (cell + gap), top + 7 * (cell + gap)])
+            .attr('role', 'img')
+            .attr('aria-label', 'Entries per day over the last ' + WEEKS + ' weeks: ' + active + ' of ' + cells.length + ' days have an entry');
+        ['Mon', '', 'Wed', '', 'Fri', '', 'Sun'].forEach(function (t, i) {
+            if (t) svg.append('text').attr('class', 'rm-axis').attr('x', 0).attr('y', top + i * (cell + gap) + cell - 2).text(t);
+        });
+        cells.filter(function (c) { return c.day.getDate() === 1 || c === cells[0]; }).forEach(function (c) {
+            svg.append('text').attr('class', 'rm-axis').attr('x', left + c.week * (cell + gap)).attr('y', 10)
+                .text(c.day.toLocaleDateString([], { month: 'short' }));
+        });
+        svg.selectAll('rect').data(cells).join('rect')
+            .attr('x', function (c) { return left + c.week * (cell + gap); })
+            .attr('y', function (c) { return top + c.row * (cell + gap); })
+            .attr('width', cell).attr('height', cell).attr('rx', 2)
+            .attr('fill', function (c) { return COLORS[Math.min(c.n, COLORS.length - 1)]; })
+            .attr('class', function (c) { return c.key === dayKey(today) ? 'rm-today' : null; })
+            .style('cursor', function (c) { return c.n || c.key !== dayKey(today) ? 'pointer' : null; })
+            .on('click', function (ev, c) {
+                if (c.n) {
+                    if (window.panasFocusEntry) window.panasFocusEntry(null, days[c.key].first);
+                } else if (c.key !== dayKey(today)) {
+                    backfillDay = c.day;
+                    renderBackfill(days);
+                    document.getElementById('rm-when').focus();
+                }
+            })
+            .append('title').text(function (c) {
+                return fmtDay(c.day) + ': ' + (c.n ? c.n + ' entr' + (c.n === 1 ? 'y' : 'ies') : 'no entry');
+            });
+    }
+
+    function renderStats(days) {
+        var s = streaks(days);
+        document.getElementById('rm-summary').textContent = s.current
+            ? '· ' + s.current + '-day streak' : Object.keys(days).length ? '· no current streak' : '';
+        document.getElementById('rm-stats').textContent =
+            'Current streak: ' + s.current + ' day' + (s.current === 1 ? '' : 's') +
+            ' · longest: ' + s.longest +
+            (s.counted ? ' · missed ' + s.missed + ' of the last ' + s.counted + ' days' : '');
+    }
+
+    function renderSettings() {
+        var body = document.getElementById('rm-settings');
+        var perm = !('Notification' in window) ? 'This browser has no notifications; reminders show on the page.'
+            : Notification.permission === 'denied' ? 'Notifications are blocked for this page; reminders show on the page only.' : '';
+        body.innerHTML =
+            '<label><input type="checkbox" id="rm-enabled"' + (CFG.enabled ? ' checked' : '') + '> Remind me to rate at</label> ' +
+            CFG.times.map(function (t, i) {
+                return '<span class="rm-time"><input type="time" data-i="' + i + '" value="' + t + '" aria-label="Reminder time ' + (i + 1) + '">' +
+                    (CFG.times.length > 1 ? '<button data-remove="' + i + '" aria-label="Remove ' + t + '">✕</button>' : '') + '</span>';
+            }).join(' ') +
+            (CFG.times.length < MAX_TIMES ? ' <button id="rm-add">+ time</button>' : '') +
+            '<div class="rm-msg" id="rm-msg">' + perm + '</div>';
+
+        var setTimes = function (times) {
+            var err = saveSetting('times', times.slice().sort());
+            if (err) document.getElementById('rm-msg').textContent = err;
+            else renderSettings();
+        };
+        document.getElementById('rm-enabled').onchange = function () {
+            if (this.checked && 'Notification' in window && Notification.permission === 'default') Notification.requestPermission();
+            saveSetting('enabled', this.checked);
+            renderSettings();
+        };
+        body.querySelectorAll('input[type=time]').forEach(function (el) {
+            el.onchange = function () {
+                var times = CFG.times.slice();
+                times[+el.dataset.i] = el.value;
+                setTimes(times);
+            };
+        });
+        body.querySelectorAll('[data-remove]').forEach(function (b) {
+            b.onclick = function () { setTimes(CFG.times.filter(function (_, i) { return i !== +b.dataset.remove; })); };
+        });
+        var add = document.getElementById('rm-add');
+        if (add) add.onclick = function () {
+            var t = ['12:00', '15:00', '18:00', '07:00'].filter(function (x) { return CFG.times.indexOf(x) < 0; })[0];
+            setTimes(CFG.times.concat(t));
+        };
+    }
+
+    function render() {
+        var db = window.panasDB;
+        if (!db || !document.getElementById('reminders-panel')) return;
+        loadSettings();
+        var days = entryDays(db);
+        renderStats(days);
+        drawHeatmap(days);
+        renderBackfill(days);
+        renderSettings();
+        check();
+    }
+
+    function scheduleRender() {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(render, 300);
+    }
+
+    /* ================================================================
+       Mount
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-reminders-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-reminders-css';
+        style.textContent = [
+            '.rm-due,.rm-backfill{margin-top:.5rem;padding:.5rem .8rem;border-radius:8px;font-size:13px;}',
+            '.rm-due{background:#eef4fb;border:1px solid #b9d0ea;}',
+            '.rm-backfill{background:#fbf8ee;border:1px solid #eadfb9;color:#555;}',
+            '.rm-due button,.rm-backfill button{padding:.25rem .6rem;font-size:12px;}',
+            '.rm-backfill input{font-size:12px;}',
+            '.rm-panel{margin-top:.6rem;font-size:13px;color:#444;max-width:620px;}',
+            '.rm-panel summary{cursor:pointer;color:#888;}',
+            '.rm-panel svg{width:100%;max-width:420px;display:block;margin:.5rem 0;}',
+            '.rm-axis{font-size:8px;fill:#999;}',
+            '.rm-today{stroke:#333;stroke-width:1;}',
+            '.rm-time button{border:none;background:none;color:#999;padding:0 .2rem;}',
+            '#rm-settings{margin-top:.4rem;}',
+            '.rm-msg{font-size:12px;color:#999;margin-left:.4rem;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('reminders-anchor');
+        if (!anchor || document.getElementById('reminders-panel')) return;
+        injectStyles();
+        anchor.innerHTML =
+            '<div id="rm-due" class="rm-due" role="status" hidden></div>' +
+            '<div id="rm-backfill" class="rm-backfill" hidden></div>' +
+            '<details id="reminders-panel" class="rm-panel">' +
+            '<summary>Streaks &amp; reminders <span id="rm-summary"></span></summary>' +
+            '<div id="rm-heatmap"></div><div id="rm-stats"></div><div id="rm-settings"></div>' +
+            '</details>';
+        render();
+        startPolling();
+        // new, edited or merged entries (and rating drags, hence the debounce)
+        window.addEventListener('panas-values-change', scheduleRender);
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        entryDays: entryDays,
+        streaks: streaks,
+        dueSlot: dueSlot,
+        render: render
+    };
+})();
@@ -0,0 +1,347 @@
+/**
+ * PanasReport — printable weekly / monthly report
+ *
+ * Builds one standalone HTML document for a chosen date range: the windrose
+ * with the period average (previous period of equal length dashed behind it),
+ * the balance chart, per-item means with the change versus that previous
+ * period, sleep and alignment summaries from js/intent.js and whichever log
+ * excerpts the user ticks. Charts are inline SVG and the CSS is embedded, so
+ * the same document is printed (→ "Save as PDF" in the print dialog) or
+ * downloaded as a self-contained .html file.
+ *
+ * Depends on:
+ *   window.panasDB, window.panasItems ({ ITEMS, POS_IDX, NEG_IDX, instrument }), window.PanasInstruments
+ *   window.panasCharts  (average, windrose, balance — from the main script)
+ *   window.panasIntentSummary (js/intent.js, optional)
+ */
+window.PanasReport = (function () {
+    'use strict';
+
+    var DAY_MS = 24 * 3600000;
+    var PRESETS = { week: 7, month: 30 };
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+
+    var REPORT_CSS = [
+        'body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#222;max-width:820px;margin:1.5rem auto;padding:0 1rem;font-size:13px;}',
+        'h1{font-size:20px;margin:0 0 .2rem;}',
+        'h2{font-size:15px;margin:1.4rem 0 .5rem;border-bottom:1px solid #eee;padding-bottom:.2rem;}',
+        '.meta{color:#777;}',
+        'svg text{font-family:inherit;}',
+        '.rose{display:flex;gap:1rem;align-items:center;}',
+        '.rose svg{width:55%;max-width:420px;}',
+        '.legend div{margin:.3rem 0;}',
+        '.swatch{display:inline-block;width:22px;height:0;border-top:2px dashed;vertical-align:middle;margin-right:.4rem;}',
+        '.balance{width:100%;}',
+        'table{border-collapse:collapse;width:100%;}',
+        'th,td{text-align:left;padding:.2rem .5rem;border-bottom:1px solid #f0f0f0;}',
+        'td.num,th.num{text-align:right;font-variant-numeric:tabular-nums;}',
+        'tr.total td{font-weight:600;border-top:1px solid #ccc;}',
+        '.cols{display:grid;grid-template-columns:1fr 1fr;gap:1.2rem;}',
+        '.excerpt{margin:.5rem 0;padding:.4rem .6rem;border-left:3px solid #ddd;white-space:pre-wrap;}',
+        '.excerpt .when{display:block;color:#777;font-size:11px;}',
+        '.empty{color:#999;}',
+        '@media print{body{margin:0;max-width:none;}h2{break-after:avoid;}.rose,table,.excerpt{break-inside:avoid;}}'
+    ].join('\n');
+
+    /* ================================================================
+       Data
+       ================================================================ */
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+    function startOfDay(d) {
+        var x = new Date(d);
+        x.setHours(0, 0, 0, 0);
+        return x;
+    }
+
+    function isoDate(d) {
+        var x = new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+        return x.toISOString().slice(0, 10);
+    }
+
+    /* → { since, until, prevSince } as ISO strings; `until` is exclusive */
+    function rangeFor(fromDay, toDay) {
+        var since = startOfDay(fromDay);
+        var until = new Date(startOfDay(toDay).getTime() + DAY_MS);
+        return {
+            since: since.toISOString(),
+            until: until.toISOString(),
+            prevSince: new Date(since.getTime() - (until - since)).toISOString(),
+            label: since.toLocaleDateString() + ' – ' + new Date(until - DAY_MS).toLocaleDateString()
+        };
+    }
+
+    function logEntries(r) {
+        var w = window.PanasInstruments.where(window.panasDB, window.panasItems.instrument);
+        var res = window.panasDB.exec(
+            "SELECT uid, ts, log, positive_score, negative_score FROM entries WHERE deleted=0 AND log<>'' AND ts>=? AND ts<? AND " + w.sql + ' ORDER BY ts',
+            [r.since, r.until].concat(w.params));
+        if (!res.length) return [];
+        return res[0].values.map(function (v) {
+            return { uid: v[0], ts: v[1], log: v[2], balance: (v[3] || 0) - (v[4] || 0) };
+        });
+    }
+
+    function fmtNum(n) { return n == null ? '–' : n.toFixed(1); }
+
+    function fmtDelta(cur, prev) {
+        if (cur == null || prev == null) return '–';
+        var d = cur - prev;
+        if (Math.abs(d) < 0.05) return '±0.0';
+        return (d > 0 ? '▲ +' : '▼ −') + Math.abs(d).toFixed(1);
+    }
+
+    /* ================================================================
+       Document
+       ================================================================ */
+    function windroseSvg(cur, prev) {
+        var el = document.createElementNS(SVG_NS, 'svg');
+        var polys = [];
+        if (prev) polys.push({ values: prev.avg, stroke: '#888', dash: '6,6' });
+        if (cur) polys.push({ values: cur.avg, stroke: 'green', fill: 'rgba(0,128,0,.10)', dash: '6,4' });
+        window.panasCharts.windrose(el, polys);
+        return el.outerHTML;
+    }
+
+    function balanceSvg(r) {
+        var el = document.createElementNS(SVG_NS, 'svg');
+        el.setAttribute('class', 'balance');
+        var n = window.panasCharts.balance(el, r.since, r.until);
+        return n ? el.outerHTML : '<p class="empty">No entries in this period.</p>';
+    }
+
+    function itemTable(cur, prev) {
+        var items = window.panasItems;
+        var def = items.instrument;
+        var group = function (title, names, scored) {
+            if (!names.length) return '';
+            var sum = function (m) { return m ? names.reduce(function (a, n) { return a + m.avg[n]; }, 0) : null; };
+            return '<table><tr><th>' + title + '</th><th class="num">Mean</th><th class="num">Previous</th><th class="num">Change</th></tr>' +
+                names.map(function (n) {
+                    var c = cur ? cur.avg[n] : null, p = prev ? prev.avg[n] : null;
+                    return '<tr><td>' + esc(n) + '</td><td class="num">' + fmtNum(c) + '</td><td class="num">' + fmtNum(p) +
+                        '</td><td class="num">' + fmtDelta(c, p) + '</td></tr>';
+                }).join('') +
+                (scored ? '<tr class="total"><td>Score (' + names.length * def.scale_min + '–' + names.length * def.scale_max + ')</td><td class="num">' +
+                    fmtNum(sum(cur)) + '</td><td class="num">' + fmtNum(sum(prev)) + '</td><td class="num">' + fmtDelta(sum(cur), sum(prev)) + '</td></tr>' : '') +
+                '</table>';
+        };
+        var named = function (sub) {
+            return def.items.filter(function (it) { return it.subscale === sub; }).map(function (it) { return it.name; });
+        };
+        return '<div class="cols">' + group('Positive affect', named('positive'), true) + group('Negative affect', named('negative'), true) +
+            group('Other items', named('other'), false) + '</div>';
+    }
+
+    function intentSection(r) {
+        var s = window.panasIntentSummary ? window.panasIntentSummary(r.since, r.until) : null;
+        if (!s) return '<p class="empty">Sleep and check-in data unavailable.</p>';
+        var sl = s.sleep, al = s.alignment, dr = s.driftResponses;
+        var pct = function (x) { return x === null ? '–' : Math.round(x * 100) + '%'; };
+        return '<div class="cols"><table>' +
+            '<tr><th colspan="2">Sleep</th></tr>' +
+            '<tr><td>Nights logged</td><td class="num">' + sl.nights + '</td></tr>' +
+            '<tr><td>Average</td><td class="num">' + (sl.avg === null ? '–' : sl.avg.toFixed(1) + ' h') + '</td></tr>' +
+            '<tr><td>Nights under ' + sl.shortHours + ' h</td><td class="num">' + sl.short + '</td></tr>' +
+            '<tr><td>Average quality</td><td class="num">' + (sl.quality == null ? '–' : sl.quality.toFixed(1) + ' / 5') + '</td></tr>' +
+            '</table><table>' +
+            '<tr><th colspan="2">Intent alignment</th></tr>' +
+            '<tr><td>Check-ins</td><td class="num">' + al.checkins + '</td></tr>' +
+            '<tr><td>Retrospective alignment</td><td class="num">' + pct(al.retroAvg) + '</td></tr>' +
+            '<tr><td>Done vs goal</td><td class="num">' + pct(al.goalAvg) + '</td></tr>' +
+            '<tr><td>Planned vs goal</td><td class="num">' + pct(al.prospectAvg) + '</td></tr>' +
+            '<tr><td>Drift flags</td><td class="num">' + al.drifts + '</td></tr>' +
+            '<tr><td>… reactive / intentional / not sure</td><td class="num">' + dr.reactive + ' / ' + dr.intentional + ' / ' + dr.unsure + '</td></tr>' +
+            '<tr><td>Collapse warnings</td><td class="num">' + s.warnings + '</td></tr>' +
+            '</table></div>';
+    }
+
+    function excerptSection(excerpts) {
+        if (!excerpts.length) return '<p class="empty">No log excerpts selected.</p>';
+        return excerpts.map(function (e) {
+            return '<div class="excerpt"><span class="when">' + esc(new Date(e.ts).toLocaleString()) +
+                ' · balance ' + (e.balance > 0 ? '+' : '') + e.balance + '</span>' + esc(e.log) + '</div>';
+        }).join('');
+    }
+
+    function buildReport(r, excerpts) {
+        var cur = window.panasCharts.average(r.since, r.until);
+        var prev = window.panasCharts.average(r.prevSince, r.since);
+        var count = cur ? cur.count : 0;
+        return '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+            '<title>Mood report ' + esc(r.label) + '</title><style>' + REPORT_CSS + '</style></head><body>' +
+            '<h1>Mood report</h1>' +
+            '<div class="meta">' + esc(r.label) + ' · ' + count + ' ' + esc(window.PanasInstruments.label(window.panasItems.instrument)) + ' ' + (count === 1 ? 'entry' : 'entries') +
+            ' · generated ' + esc(new Date().toLocaleString()) + '</div>' +
+            '<h2>Average profile</h2>' +
+            '<div class="rose">' + windroseSvg(cur, prev) + '<div class="legend">' +
+            '<div><span class="swatch" style="border-color:green"></span>This period' + (cur ? ' (' + cur.count + ' entries)' : ' (no entries)') + '</div>' +
+            '<div><span class="swatch" style="border-color:#888"></span>Previous period' + (prev ? ' (' + prev.count + ' entries)' : ' (no entries)') + '</div>' +
+            '<div class="meta">Each spoke runs from ' + window.panasItems.instrument.scale_min + ' (centre) to ' +
+            window.panasItems.instrument.scale_max + ' (rim).</div></div></div>' +
+            '<h2>Balance (positive − negative)</h2>' + balanceSvg(r) +
+            '<h2>Item means vs previous period</h2>' + itemTable(cur, prev) +
+            '<h2>Sleep &amp; alignment</h2>' + intentSection(r) +
+            '<h2>Log excerpts</h2>' + excerptSection(excerpts) +
+            '</body></html>';
+    }
+
+    /* ================================================================
+       Output
+       ================================================================ */
+    function fileName(r) {
+        return 'panas-report-' + r.since.slice(0, 10) + '_' + new Date(new Date(r.until) - DAY_MS).toISOString().slice(0, 10) + '.html';
+    }
+
+    function download(html, name) {
+        var url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        var a = document.createElement('a');
+        a.href = url; a.download = name; a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /* Print from a hidden iframe: no popup to block, and the dashboard stays put */
+    function printHtml(html) {
+        var frame = document.createElement('iframe');
+        frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+        frame.onload = function () {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(function () { frame.remove(); }, 1000);
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    /* ================================================================
+       Dialog
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-report-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-report-css';
+        style.textContent = [
+            '#rep-overlay{position:fixed;inset:0;background:rgba(0,0,0,.35);display:flex;align-items:flex-start;justify-content:center;z-index:1000;overflow:auto;padding:2rem 1rem;}',
+            '#rep-dialog{background:#fff;border-radius:10px;max-width:560px;width:100%;padding:1rem 1.2rem;font-size:13px;box-shadow:0 6px 30px rgba(0,0,0,.2);}',
+            '#rep-dialog h3{margin:.1rem 0 .6rem;}',
+            '#rep-dialog .rep-range{display:flex;gap:.8rem;align-items:center;flex-wrap:wrap;margin-bottom:.6rem;}',
+            '#rep-dialog .rep-range input[type="date"]{font-size:12px;}',
+            '#rep-dialog .rep-logs{max-height:260px;overflow:auto;border:1px solid #eee;border-radius:6px;padding:.4rem .5rem;}',
+            '#rep-dialog .rep-logs label{display:flex;gap:.4rem;align-items:flex-start;padding:.2rem 0;}',
+            '#rep-dialog .rep-logs .when{color:#888;white-space:nowrap;}',
+            '#rep-dialog .rep-empty{color:#999;}',
+            '#rep-dialog .rep-actions{display:flex;gap:.5rem;justify-content:flex-end;margin-top:.7rem;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function close() {
+        var o = document.getElementById('rep-overlay');
+        if (o) o.remove();
+    }
+
+    function currentRange() {
+        var from = document.getElementById('rep-from').value;
+        var to = document.getElementById('rep-to').value;
+        if (!from || !to || from > to) return null;
+        return rangeFor(new Date(from + 'T00:00'), new Date(to + 'T00:00'));
+    }
+
+    function applyPreset(days) {
+        var today = startOfDay(new Date());
+        document.getElementById('rep-from').value = isoDate(new Date(today.getTime() - (days - 1) * DAY_MS));
+        document.getElementById('rep-to').value = isoDate(today);
+        renderLogs();
+    }
+
+    function renderLogs() {
+        var box = document.getElementById('rep-logs');
+        var r = currentRange();
+        document.getElementById('rep-print').disabled = document.getElementById('rep-download').disabled = !r;
+        if (!r) { box.innerHTML = '<div class="rep-empty">Choose a valid date range.</div>'; return; }
+        var rows = logEntries(r);
+        if (!rows.length) { box.innerHTML = '<div class="rep-empty">No log entries in this range.</div>'; return; }
+        box.innerHTML = rows.map(function (e) {
+            return '<label><input type="checkbox" data-uid="' + esc(e.uid) + '"><span class="when">' +
+                esc(new Date(e.ts).toLocaleDateString()) + '</span><span>' + esc(e.log.length > 160 ? e.log.slice(0, 160) + '…' : e.log) + '</span></label>';
+        }).join('');
+    }
+
+    function selectedExcerpts(r) {
+        var picked = {};
+        document.querySelectorAll('#rep-logs input[data-uid]:checked').forEach(function (c) { picked[c.dataset.uid] = true; });
+        return logEntries(r).filter(function (e) { return picked[e.uid]; });
+    }
+
+    function generate(mode) {
+        var r = currentRange();
+        if (!r) return;
+        var html = buildReport(r, selectedExcerpts(r));
+        if (mode === 'print') printHtml(html);
+        else download(html, fileName(r));
+        close();
+        document.getElementById('status').textContent = 'Report for ' + r.label + (mode === 'print' ? ' sent to print.' : ' downloaded.');
+    }
+
+    function open() {
+        injectStyles();
+        close();
+        var o = document.createElement('div');
+        o.id = 'rep-overlay';
+        o.innerHTML =
+            '<div id="rep-dialog" role="dialog" aria-label="Generate report">' +
+            '<h3>Generate report</h3>' +
+            '<div class="rep-range">' +
+            '  <label><input type="radio" name="rep-preset" value="week" checked> Last 7 days</label>' +
+            '  <label><input type="radio" name="rep-preset" value="month"> Last 30 days</label>' +
+            '  <label>From <input type="date" id="rep-from"></label>' +
+            '  <label>to <input type="date" id="rep-to"></label>' +
+            '</div>' +
+            '<div><b>Log excerpts to include</b> <button id="rep-all" type="button">Select all</button></div>' +
+            '<div id="rep-logs" class="rep-logs"></div>' +
+            '<div class="rep-actions"><button id="rep-cancel">Cancel</button>' +
+            '<button id="rep-download">Download HTML</button><button id="rep-print">Print / Save as PDF</button></div>' +
+            '</div>';
+        document.body.appendChild(o);
+
+        o.querySelectorAll('input[name="rep-preset"]').forEach(function (r) {
+            r.onchange = function () { applyPreset(PRESETS[r.value]); };
+        });
+        ['rep-from', 'rep-to'].forEach(function (id) {
+            document.getElementById(id).onchange = function () {
+                o.querySelectorAll('input[name="rep-preset"]').forEach(function (r) { r.checked = false; });
+                renderLogs();
+            };
+        });
+        document.getElementById('rep-all').onclick = function () {
+            var boxes = o.querySelectorAll('#rep-logs input[data-uid]');
+            var all = Array.prototype.every.call(boxes, function (c) { return c.checked; });
+            boxes.forEach(function (c) { c.checked = !all; });
+        };
+        document.getElementById('rep-cancel').onclick = close;
+        document.getElementById('rep-download').onclick = function () { generate('download'); };
+        document.getElementById('rep-print').onclick = function () { generate('print'); };
+        applyPreset(PRESETS.week);
+    }
+
+    function mountUI() {
+        var controls = document.querySelector('.controls');
+        if (!controls || document.getElementById('report-open')) return;
+        var btn = document.createElement('button');
+        btn.id = 'report-open';
+        btn.textContent = 'Generate report';
+        btn.onclick = open;
+        controls.appendChild(btn);
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        open: open,
+        build: function (fromDay, toDay, excerpts) { return buildReport(rangeFor(fromDay, toDay), excerpts || []); }
+    };
+})();
@@ -0,0 +1,313 @@
+/**
+ * PanasSchema — versioned migrations for the SQLite file
+ *
+ * The schema version lives in `PRAGMA user_version`. Every path that opens a
+ * database (startup, .sqlite import, snapshot restore, cloud merge) calls
+ * migrate(db) before touching it, so older or foreign files upgrade
+ * deterministically and a file written by a newer app is refused instead of
+ * being half-understood.
+ *
+ * Files from before versioning all report user_version 0 but may be in any
+ * intermediate state, so each step is idempotent (CREATE IF NOT EXISTS, add
+ * column only if missing). Steps are frozen once released: add a new entry to
+ * MIGRATIONS rather than editing an old one.
+ *
+ * Loaded before the main script; no dependencies.
+ */
+window.PanasSchema = (function () {
+    'use strict';
+
+    /* The PANAS-20 items as they were when columns were first created — deliberately
+       a copy, so later changes to the dashboard's item list cannot alter step 1. */
+    var PANAS_ITEMS = ['Interested', 'Distressed', 'Excited', 'Upset', 'Strong', 'Guilty', 'Scared', 'Hostile',
+        'Enthusiastic', 'Proud', 'Irritable', 'Alert', 'Ashamed', 'Inspired', 'Nervous', 'Determined',
+        'Attentive', 'Jittery', 'Active', 'Afraid'];
+
+    var SYNC_TABLES = ['entries', 'sleep_log', 'intent_checkins'];
+
+    /* ================================================================
+       Helpers
+       ================================================================ */
+    function schemaError(code, message) {
+        var e = new Error(message);
+        e.code = code;
+        return e;
+    }
+
+    function columns(db, table) {
+        var res = db.exec('PRAGMA table_info(' + table + ')');
+        return res.length ? res[0].values.map(function (r) { return r[1]; }) : [];
+    }
+
+    function addColumn(db, table, name, type) {
+        if (columns(db, table).indexOf(name) < 0) {
+            db.exec('ALTER TABLE ' + table + ' ADD COLUMN "' + name + '" ' + type);
+        }
+    }
+
+    /* 'YYYY-MM-DD' of `ts` where it was recorded (tz_offset, minutes east of UTC),
+       or in this browser's timezone when the offset is unknown */
+    function localDay(ts, tzOffset) {
+        var d = new Date(ts);
+        if (isNaN(d)) return null;
+        var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+        if (tzOffset == null) return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+        d = new Date(d.getTime() + tzOffset * 60000);
+        return d.getUTCFullYear() + '-' + pad(d.getUTCMonth() + 1) + '-' + pad(d.getUTCDate());
+    }
+
+    function getVersion(db) {
+        return db.exec('PRAGMA user_version')[0].values[0][0];
+    }
+
+    /* ================================================================
+       Migrations (append only)
+       ================================================================ */
+    var MIGRATIONS = [
+        {
+            version: 1,
+            name: 'PANAS entries + sleep log',
+            up: function (db) {
+                db.exec('CREATE TABLE IF NOT EXISTS entries (id INTEGER PRIMARY KEY AUTOINCREMENT, ts TEXT)');
+                addColumn(db, 'entries', 'log', 'TEXT');
+                PANAS_ITEMS.forEach(function (it) { addColumn(db, 'entries', it, 'INTEGER NOT NULL DEFAULT 3'); });
+                addColumn(db, 'entries', 'positive_score', 'INTEGER');
+                addColumn(db, 'entries', 'negative_score', 'INTEGER');
+                addColumn(db, 'entries', 'hours_slept', 'REAL');
+                db.exec("UPDATE entries SET log='' WHERE log IS NULL");
+                db.exec('CREATE TABLE IF NOT EXISTS sleep_log (id INTEGER PRIMARY KEY AUTOINCREMENT, ts TEXT, hours_slept REAL)');
+            }
+        },
+        {
+            version: 2,
+            name: 'intent check-ins + collapse warnings',
+            up: function (db) {
+                db.exec('CREATE TABLE IF NOT EXISTS intent_checkins (' +
+                    'id INTEGER PRIMARY KEY AUTOINCREMENT, ts TEXT NOT NULL, ' +
+                    "retrospective TEXT DEFAULT '', prospective TEXT DEFAULT '', target_words TEXT DEFAULT '', " +
+                    'hours_slept REAL, alignment_retro REAL, alignment_prospect REAL, drift_flag INTEGER DEFAULT 0, ' +
+                    'retro_embedding TEXT, prospect_embedding TEXT, target_embedding TEXT)');
+                db.exec('CREATE TABLE IF NOT EXISTS collapse_warnings (' +
+                    'id INTEGER PRIMARY KEY AUTOINCREMENT, ts TEXT NOT NULL, flag_count INTEGER, flags TEXT)');
+            }
+        },
+        {
+            version: 3,
+            name: 'row identity for sync (uid, updated_at, deleted)',
+            up: function (db) {
+                SYNC_TABLES.forEach(function (t) { ensureRowIdentity(db, t); });
+            }
+        },
+        {
+            version: 4,
+            name: 'questionnaire registry (instruments, entries.instrument + ratings)',
+            up: function (db) {
+                db.exec('CREATE TABLE IF NOT EXISTS instruments (' +
+                    'id INTEGER PRIMARY KEY AUTOINCREMENT, uid TEXT, family TEXT, version INTEGER NOT NULL DEFAULT 1, ' +
+                    'name TEXT NOT NULL, items TEXT NOT NULL, scale_min INTEGER NOT NULL DEFAULT 1, scale_max INTEGER NOT NULL DEFAULT 5, ' +
+                    'ts TEXT, updated_at TEXT, deleted INTEGER NOT NULL DEFAULT 0)');
+                db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_instruments_uid ON instruments(uid)');
+                addColumn(db, 'entries', 'instrument', 'TEXT');
+                addColumn(db, 'entries', 'ratings', 'TEXT');
+                /* Existing rows are PANAS-20; copy their item columns into ratings (key
+                   order fixed, so devices migrating the same rows agree byte for byte) */
+                var res = db.exec('SELECT id, ' + PANAS_ITEMS.map(function (n) { return '"' + n + '"'; }).join(',') +
+                    ' FROM entries WHERE ratings IS NULL');
+                if (res.length) {
+                    var stmt = db.prepare("UPDATE entries SET instrument=COALESCE(instrument, 'panas-20'), ratings=? WHERE id=?");
+                    res[0].values.forEach(function (r) {
+                        var o = {};
+                        PANAS_ITEMS.forEach(function (n, i) { o[n] = r[1 + i]; });
+                        stmt.run([JSON.stringify(o), r[0]]);
+                    });
+                    stmt.free();
+                }
+            }
+        },
+        {
+            version: 5,
+            name: 'entry tags',
+            up: function (db) {
+                db.exec('CREATE TABLE IF NOT EXISTS entry_tags (' +
+                    'id INTEGER PRIMARY KEY AUTOINCREMENT, uid TEXT, entry_uid TEXT NOT NULL, tag TEXT NOT NULL, value TEXT, ' +
+                    'ts TEXT, updated_at TEXT, deleted INTEGER NOT NULL DEFAULT 0)');
+                db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_entry_tags_uid ON entry_tags(uid)');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_entry_tags_entry ON entry_tags(entry_uid)');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_entry_tags_tag ON entry_tags(tag, value)');
+                /* #hashtags already written in logs become tags, with uids derived from
+                   the entry so devices migrating the same history agree */
+                var res = db.exec("SELECT uid, log, updated_at FROM entries WHERE log LIKE '%#%'");
+                if (!res.length) return;
+                var stmt = db.prepare('INSERT OR IGNORE INTO entry_tags (uid, entry_uid, tag, value, ts, updated_at) VALUES (?,?,?,?,?,?)');
+                res[0].values.forEach(function (r) {
+                    var re = /#([\w-]+)(?::([\w.-]+))?/g, m, seen = {};
+                    while ((m = re.exec(r[1]))) {
+                        var tag = m[1].toLowerCase(), value = m[2] ? m[2].toLowerCase() : null;
+                        var key = tag + (value === null ? '' : ':' + value);
+                        if (seen[key]) continue;
+                        seen[key] = true;
+                        stmt.run(['legacy:' + r[0] + '#' + key, r[0], tag, value, r[2], r[2]]);
+                    }
+                });
+                stmt.free();
+            }
+        },
+        {
+            version: 6,
+            name: 'synced settings',
+            up: function (db) {
+                db.exec('CREATE TABLE IF NOT EXISTS settings (' +
+                    'id INTEGER PRIMARY KEY AUTOINCREMENT, uid TEXT, key TEXT NOT NULL, value TEXT, ' +
+                    'ts TEXT, updated_at TEXT, deleted INTEGER NOT NULL DEFAULT 0)');
+                db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_uid ON settings(uid)');
+            }
+        },
+        {
+            version: 7,
+            name: 'intent goals (intent_goals, intent_checkins.goal_uid + alignment_goal)',
+            up: function (db) {
+                db.exec('CREATE TABLE IF NOT EXISTS intent_goals (' +
+                    "id INTEGER PRIMARY KEY AUTOINCREMENT, uid TEXT, title TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'active', " +
+                    'completed_at TEXT, ts TEXT, updated_at TEXT, deleted INTEGER NOT NULL DEFAULT 0)');
+                db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_intent_goals_uid ON intent_goals(uid)');
+                addColumn(db, 'intent_checkins', 'goal_uid', 'TEXT');
+                addColumn(db, 'intent_checkins', 'alignment_goal', 'REAL');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_intent_checkins_goal ON intent_checkins(goal_uid)');
+                /* Without a goal, alignment_prospect scored the prospective against itself */
+                db.exec('UPDATE intent_checkins SET alignment_prospect = NULL WHERE goal_uid IS NULL');
+            }
+        },
+        {
+            version: 8,
+            name: 'drift reflections (intent_checkins.drift_response + drift_note)',
+            up: function (db) {
+                addColumn(db, 'intent_checkins', 'drift_response', 'TEXT');
+                addColumn(db, 'intent_checkins', 'drift_note', 'TEXT');
+            }
+        },
+        {
+            version: 9,
+            name: 'embedding model per check-in (intent_checkins.embedding_model)',
+            up: function (db) {
+                addColumn(db, 'intent_checkins', 'embedding_model', 'TEXT');
+                /* Until now vectors could only come from MiniLM-L6, and scores without
+                   vectors from the bag-of-words overlap fallback */
+                db.exec("UPDATE intent_checkins SET embedding_model = 'transformers:Xenova/all-MiniLM-L6-v2' " +
+                    'WHERE embedding_model IS NULL AND (retro_embedding IS NOT NULL OR prospect_embedding IS NOT NULL)');
+                db.exec("UPDATE intent_checkins SET embedding_model = 'overlap' " +
+                    'WHERE embedding_model IS NULL AND (alignment_retro IS NOT NULL OR alignment_prospect IS NOT NULL OR alignment_goal IS NOT NULL)');
+            }
+        },
+        {
+            version: 10,
+            name: 'timezone offset per row (entries / sleep_log / intent_checkins.tz_offset)',
+            up: function (db) {
+                /* Minutes east of UTC where the row was recorded; NULL (older rows) = unknown */
+                ['entries', 'sleep_log', 'intent_checkins'].forEach(function (t) { addColumn(db, t, 'tz_offset', 'INTEGER'); });
+            }
+        },
+        {
+            version: 11,
+            name: 'one sleep record per night (sleep_nights)',
+            up: function (db) {
+                /* night = local date of waking (YYYY-MM-DD), uid = 'night:' + night, so
+                   devices logging the same night converge on one row */
+                db.exec('CREATE TABLE IF NOT EXISTS sleep_nights (' +
+                    'id INTEGER PRIMARY KEY AUTOINCREMENT, uid TEXT, night TEXT NOT NULL, bedtime TEXT, wake_time TEXT, ' +
+                    'hours_slept REAL, quality INTEGER, nap_minutes INTEGER, tz_offset INTEGER, ' +
+                    'ts TEXT, updated_at TEXT, deleted INTEGER NOT NULL DEFAULT 0)');
+                db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_sleep_nights_uid ON sleep_nights(uid)');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_sleep_nights_night ON sleep_nights(night)');
+                /* Hours used to be kept in sleep_log, entries and (copied from the sleep
+                   input) intent_checkins. Per night, the explicit sleep log wins over an
+                   entry, an entry over a check-in, and the latest row within each; the
+                   old columns are left as they are and no longer read. */
+                var best = {};
+                ['intent_checkins', 'entries', 'sleep_log'].forEach(function (t, rank) {
+                    if (columns(db, t).indexOf('hours_slept') < 0) return;
+                    var res = db.exec('SELECT ts, hours_slept, tz_offset, updated_at FROM ' + t +
+                        ' WHERE deleted=0 AND hours_slept IS NOT NULL ORDER BY ts');
+                    if (res.length) res[0].values.forEach(function (r) {
+                        var night = localDay(r[0], r[2]);
+                        if (!night) return;
+                        var b = best[night];
+                        if (!b || rank > b.rank || (rank === b.rank && r[0] >= b.ts)) {
+                            best[night] = { rank: rank, ts: r[0], hours: r[1], tz: r[2], updated: r[3] || r[0] };
+                        }
+                    });
+                });
+                var stmt = db.prepare('INSERT OR IGNORE INTO sleep_nights (uid, night, hours_slept, tz_offset, ts, updated_at) VALUES (?,?,?,?,?,?)');
+                Object.keys(best).sort().forEach(function (night) {
+                    var b = best[night];
+                    stmt.run(['night:' + night, night, b.hours, b.tz, b.ts, b.updated]);
+                });
+                stmt.free();
+            }
+        }
+    ];
+
+    var CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    /* Every synced row carries a stable uid, an updated_at stamp and a tombstone
+       flag (deleted rows are kept so the delete itself can propagate). Legacy
+       rows get a uid derived from ts, so every device migrating the same history
+       arrives at the same identities. */
+    function ensureRowIdentity(db, table) {
+        if (!columns(db, table).length) return;
+        addColumn(db, table, 'uid', 'TEXT');
+        addColumn(db, table, 'updated_at', 'TEXT');
+        addColumn(db, table, 'deleted', 'INTEGER NOT NULL DEFAULT 0');
+        var res = db.exec('SELECT id, ts FROM ' + table + ' WHERE uid IS NULL ORDER BY id');
+        if (res.length) {
+            var seen = {};
+            var stmt = db.prepare('UPDATE ' + table + ' SET uid=?, updated_at=COALESCE(updated_at, ts) WHERE id=?');
+            res[0].values.forEach(function (r) {
+                var ts = r[1];
+                seen[ts] = (seen[ts] || 0) + 1;
+                stmt.run(['legacy:' + ts + (seen[ts] > 1 ? '#' + seen[ts] : ''), r[0]]);
+            });
+            stmt.free();
+        }
+        db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_' + table + '_uid ON ' + table + '(uid)');
+    }
+
+    /* ================================================================
+       Runner
+       ================================================================ */
+    /**
+     * Bring `db` up to CURRENT_VERSION. Each step runs in its own transaction
+     * and bumps user_version on success. Throws SCHEMA_TOO_NEW for files from a
+     * newer app and MIGRATION_FAILED (db left at the last good version) otherwise.
+     * Returns { from, to }.
+     */
+    function migrate(db) {
+        var from = getVersion(db);
+        if (from > CURRENT_VERSION) {
+            throw schemaError('SCHEMA_TOO_NEW',
+                'This database was written by a newer version of the dashboard (schema v' + from +
+                ', this app supports up to v' + CURRENT_VERSION + '). Update the app — reload without cache — before opening it.');
+        }
+        MIGRATIONS.forEach(function (m) {
+            if (m.version <= getVersion(db)) return;
+            db.exec('BEGIN');
+            try {
+                m.up(db);
+                db.exec('PRAGMA user_version = ' + m.version);
+                db.exec('COMMIT');
+            } catch (e) {
+                db.exec('ROLLBACK');
+                throw schemaError('MIGRATION_FAILED', 'Database upgrade to v' + m.version + ' (' + m.name + ') failed: ' + e.message);
+            }
+        });
+        return { from: from, to: getVersion(db) };
+    }
+
+    return {
+        CURRENT_VERSION: CURRENT_VERSION,
+        PANAS_ITEMS: PANAS_ITEMS,
+        migrate: migrate,
+        getVersion: getVersion,
+        columns: columns,
+        addColumn: addColumn
+    };
+})();
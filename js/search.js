@@ -0,0 +1,222 @@
+/**
+ * PanasSearch — full-text search over entry logs and intent check-ins
+ *
+ * Entry logs (with their tags), retrospectives and prospectives go into an
+ * FTS4 table in the connection's temp schema (this sql.js build has FTS4, not
+ * FTS5). Being temp, the index never reaches the exported file or the cloud;
+ * it is rebuilt on demand whenever the data changed or the connection was
+ * reopened (db.export() does that on every save, dropping temp tables).
+ *
+ * Query syntax: words match as prefixes and must all occur; "quoted words"
+ * match as a phrase. Results are newest first, with highlighted snippets,
+ * and can be limited to a date span and a source. Clicking one jumps the
+ * timeseries to it and previews the entry on the windrose through
+ * window.panasFocusEntry(uid, ts).
+ *
+ * Depends on: window.panasDB, window.PanasTags (optional), window.panasFocusEntry
+ */
+window.PanasSearch = (function () {
+    'use strict';
+
+    var TABLE = 'panas_search';
+    var MAX_RESULTS = 100;
+    var KINDS = { entry: 'Log', retro: 'Retrospective', prospect: 'Prospective' };
+    var MARK_OPEN = '\u0001', MARK_CLOSE = '\u0002';
+
+    var index = { db: null, sig: null, docs: [] };
+    var timer = null;
+
+    /* ================================================================
+       Index
+       ================================================================ */
+    function query(db, sql, params) {
+        var r = db.exec(sql, params);
+        return r.length ? r[0].values : [];
+    }
+
+    function signature(db) {
+        return JSON.stringify(query(db, 'SELECT COUNT(*), MAX(updated_at) FROM entries').concat(
+            query(db, 'SELECT COUNT(*), MAX(updated_at) FROM intent_checkins'),
+            query(db, 'SELECT COUNT(*), MAX(updated_at) FROM entry_tags')));
+    }
+
+    function collect(db) {
+        var docs = [];
+        var tags = window.PanasTags ? window.PanasTags.byEntry(db) : {};
+        query(db, 'SELECT uid, ts, log FROM entries WHERE deleted=0').forEach(function (v) {
+            var t = (tags[v[0]] || []).map(function (s) { return '#' + s; }).join(' ');
+            if (v[2] || t) docs.push({ kind: 'entry', uid: v[0], ts: v[1], text: [v[2], t].filter(Boolean).join('\n') });
+        });
+        query(db, "SELECT uid, ts, retrospective, prospective FROM intent_checkins WHERE deleted=0").forEach(function (v) {
+            if (v[2]) docs.push({ kind: 'retro', uid: v[0], ts: v[1], text: v[2] });
+            if (v[3]) docs.push({ kind: 'prospect', uid: v[0], ts: v[1], text: v[3] });
+        });
+        return docs;
+    }
+
+    function ensureIndex() {
+        var db = window.panasDB;
+        var sig = signature(db);
+        var present = query(db, "SELECT 1 FROM temp.sqlite_master WHERE name=?", [TABLE]).length > 0;
+        if (present && index.db === db && index.sig === sig) return;
+
+        db.exec('DROP TABLE IF EXISTS temp.' + TABLE);
+        try {
+            db.exec('CREATE VIRTUAL TABLE temp.' + TABLE + " USING fts4(body, tokenize=unicode61 'remove_diacritics=1')");
+        } catch (_) {
+            db.exec('CREATE VIRTUAL TABLE temp.' + TABLE + ' USING fts4(body)');   // builds without unicode61
+        }
+        var docs = collect(db);
+        var stmt = db.prepare('INSERT INTO temp.' + TABLE + ' (docid, body) VALUES (?, ?)');
+        docs.forEach(function (d, i) { stmt.run([i, d.text]); });
+        stmt.free();
+        index = { db: db, sig: sig, docs: docs };
+    }
+
+    /* User text → FTS4 MATCH expression, or '' when nothing searchable is left */
+    function toMatch(text) {
+        var parts = [], re = /"([^"]*)"|(\S+)/g, m;
+        var clean = function (s) { return s.toLowerCase().replace(/[^\w\u00C0-\uFFFF]+/g, ' ').trim(); };
+        while ((m = re.exec(text))) {
+            if (m[1] !== undefined) {
+                var ph = clean(m[1]);
+                if (ph) parts.push('"' + ph + '"');
+            } else {
+                clean(m[2]).split(/\s+/).forEach(function (w) { if (w) parts.push(w + '*'); });
+            }
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Search; opts = { since, until (ISO, until exclusive), kinds: { entry, retro, prospect } }.
+     * → { total, results: [{ kind, uid, ts, snippet }] } newest first; snippet marks hits
+     * with MARK_OPEN / MARK_CLOSE.
+     */
+    function search(text, opts) {
+        opts = opts || {};
+        var match = toMatch(text);
+        if (!match) return { total: 0, results: [] };
+        ensureIndex();
+        var rows = query(window.panasDB, 'SELECT docid, snippet(' + TABLE + ", ?, ?, '…', -1, 16) FROM temp." + TABLE +
+            ' WHERE ' + TABLE + ' MATCH ?', [MARK_OPEN, MARK_CLOSE, match]);
+        var hits = rows.map(function (r) {
+            var d = index.docs[r[0]];
+            return { kind: d.kind, uid: d.uid, ts: d.ts, snippet: r[1] };
+        }).filter(function (h) {
+            return (!opts.kinds || opts.kinds[h.kind]) &&
+                (!opts.since || h.ts >= opts.since) && (!opts.until || h.ts < opts.until);
+        });
+        hits.sort(function (a, b) { return a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0; });
+        return { total: hits.length, results: hits.slice(0, MAX_RESULTS) };
+    }
+
+    /* ================================================================
+       Panel
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-search-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-search-css';
+        style.textContent = [
+            '.search-panel{margin:.3rem 0 .8rem;max-width:760px;font-size:13px;color:#444;}',
+            '.search-panel summary{cursor:pointer;color:#888;}',
+            '.search-panel .sr-controls{display:flex;gap:.5rem;align-items:center;flex-wrap:wrap;margin:.5rem 0;}',
+            '.search-panel #sr-q{flex:1;min-width:14rem;padding:.3rem .5rem;font-size:13px;}',
+            '.search-panel .sr-count{color:#999;font-size:12px;margin:.2rem 0;}',
+            '.search-panel ul{list-style:none;margin:0;padding:0;max-height:320px;overflow:auto;}',
+            '.search-panel li{padding:.35rem .4rem;border-bottom:1px solid #f0f0f0;cursor:pointer;}',
+            '.search-panel li:hover,.search-panel li:focus{background:#f7f9fb;outline:none;}',
+            '.search-panel .sr-meta{font-size:11px;color:#999;}',
+            '.search-panel .sr-kind{display:inline-block;border-radius:8px;padding:0 .4rem;margin-left:.3rem;background:#eee;color:#666;}',
+            '.search-panel .sr-kind.entry{background:#fff4c2;color:#8a6d00;}',
+            '.search-panel mark{background:#ffe066;padding:0 1px;border-radius:2px;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+
+    function snippetHtml(s) {
+        return esc(s).split(MARK_OPEN).join('<mark>').split(MARK_CLOSE).join('</mark>').replace(/\n/g, ' · ');
+    }
+
+    function val(id) { return document.getElementById(id).value; }
+
+    function run() {
+        var out = document.getElementById('sr-results');
+        var count = document.getElementById('sr-count');
+        var text = val('sr-q');
+        if (!toMatch(text)) { out.innerHTML = ''; count.textContent = 'Type to search logs, tags and check-ins.'; return; }
+        var kinds = {};
+        document.querySelectorAll('.search-panel input[data-kind]').forEach(function (c) { kinds[c.dataset.kind] = c.checked; });
+        var res;
+        try {
+            res = search(text, {
+                since: val('sr-from') ? new Date(val('sr-from') + 'T00:00').toISOString() : null,
+                until: val('sr-to') ? new Date(new Date(val('sr-to') + 'T00:00').getTime() + 86400000).toISOString() : null,
+                kinds: kinds
+            });
+        } catch (e) {
+            console.warn('PanasSearch: query failed', e);
+            out.innerHTML = '';
+            count.textContent = 'Search failed: ' + (e.message || e);
+            return;
+        }
+        count.textContent = res.total ? res.total + ' result' + (res.total === 1 ? '' : 's') +
+            (res.total > res.results.length ? ' (showing the newest ' + res.results.length + ')' : '') : 'No matches.';
+        out.innerHTML = res.results.map(function (r, i) {
+            return '<li tabindex="0" data-i="' + i + '"><div class="sr-meta">' + esc(new Date(r.ts).toLocaleString()) +
+                '<span class="sr-kind ' + r.kind + '">' + KINDS[r.kind] + '</span></div>' + snippetHtml(r.snippet) + '</li>';
+        }).join('');
+        out.querySelectorAll('li').forEach(function (li) {
+            var r = res.results[+li.dataset.i];
+            var go = function () { if (window.panasFocusEntry) window.panasFocusEntry(r.kind === 'entry' ? r.uid : null, r.ts); };
+            li.onclick = go;
+            li.onkeydown = function (e) { if (e.key === 'Enter') go(); };
+        });
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(run, 200);
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('search-anchor');
+        if (!anchor || document.getElementById('search-panel')) return;
+        injectStyles();
+        var panel = document.createElement('details');
+        panel.id = 'search-panel';
+        panel.className = 'search-panel';
+        panel.innerHTML =
+            '<summary>Search logs &amp; check-ins</summary>' +
+            '<div class="sr-controls">' +
+            '  <input type="search" id="sr-q" placeholder=\'e.g. parser deadline, "went well", #work\' aria-label="Search text">' +
+            '  <label>from <input type="date" id="sr-from"></label>' +
+            '  <label>to <input type="date" id="sr-to"></label>' +
+            '</div>' +
+            '<div class="sr-controls">' + Object.keys(KINDS).map(function (k) {
+                return '<label><input type="checkbox" data-kind="' + k + '" checked> ' + KINDS[k] + 's</label>';
+            }).join(' ') + '</div>' +
+            '<div class="sr-count" id="sr-count" aria-live="polite"></div>' +
+            '<ul id="sr-results"></ul>';
+        anchor.appendChild(panel);
+        document.getElementById('sr-q').addEventListener('input', schedule);
+        panel.querySelectorAll('input[type=date], input[type=checkbox]').forEach(function (el) { el.addEventListener('change', run); });
+        panel.addEventListener('toggle', function () {
+            if (panel.open) { document.getElementById('sr-q').focus(); run(); }
+        });
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        search: search,
+        toMatch: toMatch
+    };
+})();
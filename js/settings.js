@@ -0,0 +1,62 @@
+/**
+ * PanasSettings — preferences stored in the database (settings, schema.js v6)
+ *
+ * One row per key with a JSON value. The row uid is derived from the key, so
+ * the same setting changed on two devices is one row to the merge and the
+ * later change wins; resetting a key tombstones its row, which propagates
+ * like any delete.
+ *
+ *   get(db, key, fallback)      → stored value, or `fallback` when unset
+ *   all(db, prefix)             → { key: value } for live keys starting with `prefix`
+ *   set(db, key, value, now)    → stores `value`; null / undefined resets the key
+ *
+ * Callers persist; modules re-read their keys on window.panasRefreshFromDb
+ * (after a sync or import) the same way they re-read their rows.
+ *
+ * Loaded before the main script; no dependencies.
+ */
+window.PanasSettings = (function () {
+    'use strict';
+
+    function uidFor(key) { return 'setting:' + key; }
+
+    function get(db, key, fallback) {
+        var res = db.exec('SELECT value FROM settings WHERE uid=? AND deleted=0', [uidFor(key)]);
+        if (!res.length || res[0].values[0][0] == null) return fallback;
+        try {
+            return JSON.parse(res[0].values[0][0]);
+        } catch (e) {
+            console.warn('PanasSettings: unreadable value for ' + key, e.message);
+            return fallback;
+        }
+    }
+
+    function all(db, prefix) {
+        var out = {};
+        var res = db.exec("SELECT key, value FROM settings WHERE deleted=0 AND substr(key, 1, ?)=?", [prefix.length, prefix]);
+        (res.length ? res[0].values : []).forEach(function (v) {
+            try { out[v[0]] = JSON.parse(v[1]); } catch (_) { /* skipped, as in get() */ }
+        });
+        return out;
+    }
+
+    function set(db, key, value, now) {
+        var uid = uidFor(key);
+        var reset = value === null || value === undefined;
+        var json = reset ? null : JSON.stringify(value);
+        var res = db.exec('SELECT value, deleted FROM settings WHERE uid=?', [uid]);
+        if (!res.length) {
+            if (!reset) db.run('INSERT INTO settings (uid, key, value, ts, updated_at) VALUES (?,?,?,?,?)', [uid, key, json, now, now]);
+            return;
+        }
+        var cur = res[0].values[0];
+        if (reset ? cur[1] : (!cur[1] && cur[0] === json)) return;   // unchanged: keep updated_at, no spurious conflict
+        db.run('UPDATE settings SET value=?, deleted=?, updated_at=? WHERE uid=?', [reset ? cur[0] : json, reset ? 1 : 0, now, uid]);
+    }
+
+    return {
+        get: get,
+        all: all,
+        set: set
+    };
+})();
@@ -0,0 +1,246 @@
+/**
+ * PanasSleep — one sleep record per night
+ *
+ * A night is named by the local date of waking ('YYYY-MM-DD') and kept in
+ * sleep_nights (schema.js v11) under uid 'night:' + night, so logging the same
+ * night twice — or on two devices — updates one row instead of adding another.
+ * A record holds bedtime and wake time (ISO UTC, either may be missing), hours
+ * slept (computed from the two times when both are given, else as typed), a
+ * quality rating (1–5) and minutes napped that day. Naps are kept apart from
+ * hours_slept: charts and the collapse warning look at the night itself.
+ * tz_offset is where the times were entered, so they show as on that clock.
+ *
+ * The sleep row under the log (mount) has the date woken, bed and wake times,
+ * hours (filled in from the times), quality and naps. *Log night* saves it on
+ * its own; saving or updating an entry saves it too when anything is filled
+ * in. Unless the date was changed by hand, that is the night ending on the
+ * entry's day.
+ *
+ *   nightOf(ts, tzOffset)     → 'YYYY-MM-DD' the time falls on where it was recorded
+ *   get(db, night)            → record | null
+ *   nights(db, since, until)  → live records whose day starts in [since, until) (ISO, null = open), oldest first
+ *   save(db, rec, now)        upsert `rec` (as read() returns it) → 'added' | 'updated' | 'unchanged'
+ *   describe(rec)             → '7.5 h · 23:10–06:40 · quality 4/5 · naps 20 min'
+ *   mount(anchor)             render the sleep fields into `anchor` (element or id)
+ *   read(day)                 → { rec } (rec null when the form is empty) or { error }; `day` = default night
+ *   fill(night) / clear()     show a night's record (entry editor, which passes the entry's night to read) / empty the form
+ *
+ * Loaded before the main script. Depends on window.PanasTime.
+ */
+window.PanasSleep = (function () {
+    'use strict';
+
+    var HOUR = 3600000;
+    var QUALITY = ['', 'Poor', 'Fair', 'OK', 'Good', 'Great'];
+    var FIELDS = ['bedtime', 'wake_time', 'hours_slept', 'quality', 'nap_minutes', 'tz_offset'];
+
+    var nightPicked = false;   // the date was changed by hand, so entry saves don't override it
+
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+    function dayKey(d) {
+        return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+    }
+
+    function nightOf(ts, tzOffset) {
+        return dayKey(window.PanasTime.wallClock(ts, tzOffset));
+    }
+
+    function hhmm(ts, tzOffset) {
+        if (!ts) return '';
+        var d = window.PanasTime.wallClock(ts, tzOffset);
+        return pad(d.getHours()) + ':' + pad(d.getMinutes());
+    }
+
+    /* ================================================================
+       Records
+       ================================================================ */
+    var COLS = 'uid, night, bedtime, wake_time, hours_slept, quality, nap_minutes, tz_offset, ts, updated_at';
+
+    function toRecord(r) {
+        return {
+            uid: r[0], night: r[1], date: new Date(r[1] + 'T00:00'), bedtime: r[2], wake_time: r[3],
+            hours_slept: r[4], quality: r[5], nap_minutes: r[6], tz_offset: r[7], ts: r[8], updated_at: r[9]
+        };
+    }
+
+    function get(db, night) {
+        var res = db.exec('SELECT ' + COLS + ' FROM sleep_nights WHERE uid=? AND deleted=0', ['night:' + night]);
+        return res.length ? toRecord(res[0].values[0]) : null;
+    }
+
+    /* A night is in [since, until) when the midnight starting its day is */
+    function nights(db, sinceISO, untilISO) {
+        var where = ['deleted=0'], params = [];
+        if (sinceISO) {
+            var since = new Date(sinceISO), first = new Date(since);
+            first.setHours(0, 0, 0, 0);
+            if (first < since) first.setDate(first.getDate() + 1);
+            where.push('night >= ?');
+            params.push(dayKey(first));
+        }
+        if (untilISO) { where.push('night <= ?'); params.push(dayKey(new Date(new Date(untilISO).getTime() - 1))); }
+        var res = db.exec('SELECT ' + COLS + ' FROM sleep_nights WHERE ' + where.join(' AND ') + ' ORDER BY night', params);
+        return res.length ? res[0].values.map(toRecord) : [];
+    }
+
+    function save(db, rec, now) {
+        var uid = 'night:' + rec.night;
+        var res = db.exec('SELECT ' + FIELDS.join(',') + ', deleted FROM sleep_nights WHERE uid=?', [uid]);
+        var vals = FIELDS.map(function (f) { return rec[f] == null ? null : rec[f]; });
+        if (!res.length) {
+            db.run('INSERT INTO sleep_nights (uid, night, ' + FIELDS.join(',') + ', ts, updated_at) VALUES (?,?,?,?,?,?,?,?,?,?)',
+                [uid, rec.night].concat(vals, [now, now]));
+            return 'added';
+        }
+        var old = res[0].values[0];
+        /* the offset only places bed / wake times, so without them it isn't a change */
+        var same = vals.every(function (v, i) { return v === old[i] || (FIELDS[i] === 'tz_offset' && !rec.bedtime && !rec.wake_time); });
+        if (!old[FIELDS.length] && same) return 'unchanged';
+        db.run('UPDATE sleep_nights SET ' + FIELDS.map(function (f) { return f + '=?'; }).join(',') + ', deleted=0, updated_at=? WHERE uid=?',
+            vals.concat([now, uid]));
+        return old[FIELDS.length] ? 'added' : 'updated';
+    }
+
+    function describe(rec) {
+        var parts = [];
+        if (rec.hours_slept != null) parts.push(+rec.hours_slept.toFixed(2) + ' h');
+        if (rec.bedtime || rec.wake_time) parts.push((hhmm(rec.bedtime, rec.tz_offset) || '?') + '–' + (hhmm(rec.wake_time, rec.tz_offset) || '?'));
+        if (rec.quality != null) parts.push('quality ' + rec.quality + '/5');
+        if (rec.nap_minutes) parts.push('naps ' + rec.nap_minutes + ' min');
+        return parts.join(' · ');
+    }
+
+    /* ================================================================
+       Form
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-sleep-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-sleep-css';
+        style.textContent = [
+            '.sleep-fields{display:flex;flex-wrap:wrap;align-items:center;gap:.35rem .5rem;}',
+            '.sleep-fields input[type=date],.sleep-fields input[type=time],.sleep-fields select{padding:.25rem;border:1px solid #ddd;border-radius:4px;font-family:inherit;font-size:13px;}',
+            '.sleep-fields input#sleep-naps{width:60px;}',
+            '.sleep-known{font-size:11px;color:#888;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function el(id) { return document.getElementById(id); }
+
+    function mount(anchor) {
+        var box = typeof anchor === 'string' ? el(anchor) : anchor;
+        if (!box || el('hours-slept')) return;
+        injectStyles();
+        box.classList.add('sleep-fields');
+        box.innerHTML =
+            '<label for="sleep-night">Woke on</label><input type="date" id="sleep-night">' +
+            '<label for="sleep-bed">Bed</label><input type="time" id="sleep-bed">' +
+            '<label for="sleep-wake">Wake</label><input type="time" id="sleep-wake">' +
+            '<label for="hours-slept">Sleep (h):</label>' +
+            '<input type="number" id="hours-slept" step="0.25" min="0" max="24" placeholder="7.5">' +
+            '<label for="sleep-quality">Quality</label><select id="sleep-quality">' +
+            QUALITY.map(function (q, i) { return '<option value="' + (i || '') + '">' + (i ? i + ' ' + q : '–') + '</option>'; }).join('') +
+            '</select>' +
+            '<label for="sleep-naps">Naps (min)</label><input type="number" id="sleep-naps" step="5" min="0" max="720" placeholder="0">' +
+            '<button id="save-sleep" type="button" title="Save this night without an entry">Log night</button>' +
+            '<span id="sleep-known" class="sleep-known" aria-live="polite"></span>';
+        resetNight();
+        el('sleep-night').onchange = function () { nightPicked = true; showKnown(); };
+        el('sleep-bed').oninput = el('sleep-wake').oninput = fillHours;
+        window.addEventListener('panas-db-ready', showKnown);
+        window.addEventListener('panas-values-change', showKnown);
+    }
+
+    function resetNight(night) {
+        var input = el('sleep-night');
+        input.max = dayKey(new Date());
+        input.value = night || input.max;
+        nightPicked = false;
+        showKnown();
+    }
+
+    /* Bed and wake as Dates on the night ending `night`; bed on the day before
+       when it is not earlier than wake (or, without a wake time, after noon) */
+    function times(night) {
+        var bed = el('sleep-bed').value, wake = el('sleep-wake').value;
+        var w = wake ? new Date(night + 'T' + wake) : null;
+        var b = bed ? new Date(night + 'T' + bed) : null;
+        if (b && (w ? b >= w : b.getHours() >= 12)) b.setDate(b.getDate() - 1);
+        return { bed: b, wake: w };
+    }
+
+    /* Both times given → hours slept follows them (and the draft hears about it) */
+    function fillHours() {
+        var t = times(el('sleep-night').value || dayKey(new Date()));
+        if (!t.bed || !t.wake) return;
+        var h = el('hours-slept');
+        h.value = +((t.wake - t.bed) / HOUR).toFixed(2);
+        h.dispatchEvent(new Event('input'));
+    }
+
+    function showKnown() {
+        var out = el('sleep-known'), night = el('sleep-night');
+        if (!out || !window.panasDB) return;
+        var rec = night.value ? get(window.panasDB, night.value) : null;
+        out.textContent = rec ? 'Logged: ' + describe(rec) : '';
+        el('save-sleep').textContent = rec ? 'Update night' : 'Log night';
+    }
+
+    function read(day) {
+        var f = {
+            bed: el('sleep-bed').value, wake: el('sleep-wake').value, hours: el('hours-slept').value.trim(),
+            quality: el('sleep-quality').value, naps: el('sleep-naps').value.trim()
+        };
+        if (!f.bed && !f.wake && !f.hours && !f.quality && !f.naps) return { rec: null };
+        var night = nightPicked || !day ? el('sleep-night').value : day;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(night) || isNaN(new Date(night + 'T00:00'))) return { error: 'Choose the date you woke up.' };
+        if (night > dayKey(new Date())) return { error: 'That night is in the future.' };
+        var t = times(night);
+        if (t.wake && t.wake.getTime() > Date.now()) return { error: 'That wake time is in the future.' };
+        var hours = f.hours === '' ? null : Number(f.hours);
+        if (t.bed && t.wake) hours = +((t.wake - t.bed) / HOUR).toFixed(2);
+        if (hours !== null && !(hours > 0 && hours <= 24)) return { error: 'Enter hours slept between 0 and 24.' };
+        var naps = f.naps === '' ? null : Number(f.naps);
+        if (naps !== null && !(Number.isInteger(naps) && naps >= 0 && naps <= 720)) return { error: 'Naps are whole minutes, 0–720.' };
+        return {
+            rec: {
+                night: night,
+                bedtime: t.bed ? t.bed.toISOString() : null,
+                wake_time: t.wake ? t.wake.toISOString() : null,
+                hours_slept: hours,
+                quality: f.quality ? Number(f.quality) : null,
+                nap_minutes: naps,
+                tz_offset: t.wake || t.bed ? window.PanasTime.offsetOf(t.wake || t.bed) : null
+            }
+        };
+    }
+
+    function fill(night) {
+        var rec = window.panasDB ? get(window.panasDB, night) : null;
+        el('sleep-bed').value = rec ? hhmm(rec.bedtime, rec.tz_offset) : '';
+        el('sleep-wake').value = rec ? hhmm(rec.wake_time, rec.tz_offset) : '';
+        el('hours-slept').value = rec && rec.hours_slept != null ? rec.hours_slept : '';
+        el('sleep-quality').value = rec && rec.quality != null ? rec.quality : '';
+        el('sleep-naps').value = rec && rec.nap_minutes != null ? rec.nap_minutes : '';
+        resetNight(night);
+    }
+
+    function clear() {
+        ['sleep-bed', 'sleep-wake', 'hours-slept', 'sleep-quality', 'sleep-naps'].forEach(function (id) { el(id).value = ''; });
+        resetNight();
+    }
+
+    return {
+        nightOf: nightOf,
+        get: get,
+        nights: nights,
+        save: save,
+        describe: describe,
+        mount: mount,
+        read: read,
+        fill: fill,
+        clear: clear
+    };
+})();
@@ -0,0 +1,327 @@
+/**
+ * PanasStore — IndexedDB persistence for the SQLite bytes + rolling snapshots
+ *
+ * localStorage caps out around 5 MB and base64 inflates the export by a third,
+ * so once embeddings pile up in intent_checkins writes start failing. The raw
+ * Uint8Array goes into IndexedDB instead (no encoding, quota in the GBs).
+ *
+ *   load()             → Promise<Uint8Array|null>  (migrates the old localStorage key once)
+ *   save(bytes)        → Promise                   (writes are serialised in call order)
+ *   snapshot(bytes, reason) → Promise<id | null> (null in the localStorage fallback, which keeps none)
+ *   canSnapshot()      → false in that fallback, so callers don't promise a snapshot
+ *   listSnapshots(), getSnapshot(id), deleteSnapshot(id)
+ *   replaceWith(bytes, msg)  swap in an earlier copy or an imported file, re-stamped so it also wins the next sync
+ *
+ * A 'daily' snapshot is taken on the first save of each day, plus one before
+ * every destructive action (Clear DB, import, restore). Only the newest
+ * MAX_SNAPSHOTS are kept.
+ *
+ * Loaded before the main script; the snapshot panel is injected into
+ * #snapshot-anchor once 'panas-db-ready' fires and restores through
+ * window.panasReplaceDb(bytes), after window.PanasMerge.supersede.
+ */
+window.PanasStore = (function () {
+    'use strict';
+
+    var IDB_NAME = 'panas';
+    var IDB_VERSION = 1;
+    var STORE_DB = 'database';
+    var STORE_SNAP = 'snapshots';
+    var DB_KEY = 'current';
+    var LS_LEGACY = 'panas_db';
+    var MAX_SNAPSHOTS = 20;
+
+    var idbPromise = null;
+    var fallback = false;     // true when IndexedDB is unavailable → old localStorage behaviour
+    var writeChain = Promise.resolve();
+    var lastDailyTs = null;   // ISO ts of the newest 'daily' snapshot, loaded lazily
+
+    /* ================================================================
+       IndexedDB plumbing
+       ================================================================ */
+    function openIdb() {
+        if (idbPromise) return idbPromise;
+        idbPromise = new Promise(function (resolve, reject) {
+            if (!window.indexedDB) { reject(new Error('IndexedDB not available')); return; }
+            var req = indexedDB.open(IDB_NAME, IDB_VERSION);
+            req.onupgradeneeded = function () {
+                var idb = req.result;
+                if (!idb.objectStoreNames.contains(STORE_DB)) idb.createObjectStore(STORE_DB);
+                if (!idb.objectStoreNames.contains(STORE_SNAP)) {
+                    idb.createObjectStore(STORE_SNAP, { keyPath: 'id', autoIncrement: true }).createIndex('ts', 'ts');
+                }
+            };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+        });
+        return idbPromise;
+    }
+
+    /* Run fn(store) inside a transaction; resolves with the last request's result */
+    function tx(storeName, mode, fn) {
+        return openIdb().then(function (idb) {
+            return new Promise(function (resolve, reject) {
+                var t = idb.transaction(storeName, mode);
+                var req = fn(t.objectStore(storeName));
+                t.oncomplete = function () { resolve(req ? req.result : undefined); };
+                t.onerror = function () { reject(t.error); };
+                t.onabort = function () { reject(t.error || new Error('IndexedDB transaction aborted')); };
+            });
+        });
+    }
+
+    function b64ToU8(b64) {
+        var s = atob(b64);
+        var u = new Uint8Array(s.length);
+        for (var i = 0; i < s.length; i++) u[i] = s.charCodeAt(i);
+        return u;
+    }
+
+    function u8ToB64(u8) {
+        var s = '';
+        for (var i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
+        return btoa(s);
+    }
+
+    /* ================================================================
+       Current database
+       ================================================================ */
+    function load() {
+        return openIdb().catch(function (e) {
+            console.warn('PanasStore: IndexedDB unavailable, falling back to localStorage', e);
+            fallback = true;
+        }).then(function () {
+            if (fallback) {
+                var b64 = localStorage.getItem(LS_LEGACY);
+                return b64 ? b64ToU8(b64) : null;
+            }
+            return loadIdb();
+        });
+    }
+
+    function loadIdb() {
+        return tx(STORE_DB, 'readonly', function (s) { return s.get(DB_KEY); }).then(function (bytes) {
+            if (bytes) return new Uint8Array(bytes);
+            /* One-time migration from the base64 localStorage key */
+            var legacy = localStorage.getItem(LS_LEGACY);
+            if (!legacy) return null;
+            var u8 = b64ToU8(legacy);
+            return tx(STORE_DB, 'readwrite', function (s) { return s.put(u8, DB_KEY); }).then(function () {
+                return snapshot(u8, 'migrated from localStorage');
+            }).then(function () {
+                localStorage.removeItem(LS_LEGACY);
+                return u8;
+            });
+        });
+    }
+
+    function save(bytes) {
+        if (fallback) {
+            try {
+                localStorage.setItem(LS_LEGACY, u8ToB64(bytes));
+                return Promise.resolve();
+            } catch (e) { return Promise.reject(e); }
+        }
+        writeChain = writeChain.then(function () {
+            return tx(STORE_DB, 'readwrite', function (s) { return s.put(bytes, DB_KEY); });
+        }).then(function () {
+            return maybeDailySnapshot(bytes);
+        });
+        /* keep the chain alive after a failed write; the caller still sees the error */
+        var result = writeChain;
+        writeChain = writeChain.catch(function () { });
+        return result;
+    }
+
+    /* ================================================================
+       Snapshots
+       ================================================================ */
+    function snapshot(bytes, reason) {
+        if (fallback) return Promise.resolve(null);
+        var rec = { ts: new Date().toISOString(), reason: reason || 'manual', size: bytes.length, bytes: bytes };
+        if (rec.reason === 'daily') lastDailyTs = rec.ts;
+        return tx(STORE_SNAP, 'readwrite', function (s) { return s.add(rec); }).then(function (id) {
+            return prune().then(function () { renderSnapshots(); return id; });
+        });
+    }
+
+    function canSnapshot() {
+        return !fallback;
+    }
+
+    function maybeDailySnapshot(bytes) {
+        var ready = lastDailyTs !== null ? Promise.resolve() : listSnapshots().then(function (list) {
+            var daily = list.filter(function (m) { return m.reason === 'daily'; });
+            lastDailyTs = daily.length ? daily[0].ts : '';
+        });
+        return ready.then(function () {
+            if (lastDailyTs && new Date(lastDailyTs).toDateString() === new Date().toDateString()) return null;
+            return snapshot(bytes, 'daily');
+        });
+    }
+
+    /* Metadata only, newest first */
+    function listSnapshots() {
+        return openIdb().then(function (idb) {
+            return new Promise(function (resolve, reject) {
+                var out = [];
+                var req = idb.transaction(STORE_SNAP, 'readonly').objectStore(STORE_SNAP).index('ts').openCursor(null, 'prev');
+                req.onsuccess = function () {
+                    var c = req.result;
+                    if (!c) { resolve(out); return; }
+                    out.push({ id: c.value.id, ts: c.value.ts, reason: c.value.reason, size: c.value.size });
+                    c.continue();
+                };
+                req.onerror = function () { reject(req.error); };
+            });
+        });
+    }
+
+    function getSnapshot(id) {
+        return tx(STORE_SNAP, 'readonly', function (s) { return s.get(id); }).then(function (rec) {
+            return rec ? new Uint8Array(rec.bytes) : null;
+        });
+    }
+
+    function deleteSnapshot(id) {
+        return tx(STORE_SNAP, 'readwrite', function (s) { return s.delete(id); });
+    }
+
+    function prune() {
+        return listSnapshots().then(function (list) {
+            var stale = list.slice(MAX_SNAPSHOTS);
+            if (!stale.length) return null;
+            return tx(STORE_SNAP, 'readwrite', function (s) {
+                stale.forEach(function (m) { s.delete(m.id); });
+                return null;
+            });
+        });
+    }
+
+    /* ================================================================
+       Snapshot panel
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-store-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-store-css';
+        style.textContent = [
+            '.snap-panel{margin-top:.8rem;font-size:13px;color:#555;}',
+            '.snap-panel summary{cursor:pointer;color:#888;}',
+            '.snap-panel .snap-actions{display:flex;gap:.5rem;align-items:center;margin:.5rem 0;flex-wrap:wrap;}',
+            '.snap-panel .snap-actions button,.snap-panel .snap-row button{padding:.25rem .6rem;font-size:12px;}',
+            '.snap-panel .snap-usage{font-size:11px;color:#999;}',
+            '.snap-panel .snap-row{display:flex;align-items:center;gap:.5rem;padding:.3rem 0;border-bottom:1px solid #f0f0f0;}',
+            '.snap-panel .snap-row .snap-when{flex:1;}',
+            '.snap-panel .snap-row .snap-meta{font-size:11px;color:#999;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function fmtSize(n) {
+        return n >= 1048576 ? (n / 1048576).toFixed(1) + ' MB' : Math.max(1, Math.round(n / 1024)) + ' KB';
+    }
+
+    function renderSnapshots() {
+        var list = document.getElementById('snap-list');
+        if (!list) return;
+        listSnapshots().then(function (snaps) {
+            if (!snaps.length) {
+                list.innerHTML = '<div class="snap-meta">No snapshots yet.</div>';
+                return;
+            }
+            list.innerHTML = snaps.map(function (m) {
+                return '<div class="snap-row">' +
+                    '<span class="snap-when">' + new Date(m.ts).toLocaleString() +
+                    ' <span class="snap-meta">· ' + m.reason + ' · ' + fmtSize(m.size) + '</span></span>' +
+                    '<button data-restore="' + m.id + '">Restore</button>' +
+                    '<button data-delete="' + m.id + '">✕</button>' +
+                    '</div>';
+            }).join('');
+            list.querySelectorAll('button[data-restore]').forEach(function (b) {
+                b.onclick = function () { restore(parseInt(b.dataset.restore, 10)); };
+            });
+            list.querySelectorAll('button[data-delete]').forEach(function (b) {
+                b.onclick = function () { deleteSnapshot(parseInt(b.dataset.delete, 10)).then(renderSnapshots); };
+            });
+        }).catch(function (e) {
+            list.innerHTML = '<div class="snap-meta">Snapshots unavailable: ' + (e.message || e) + '</div>';
+        });
+    }
+
+    /* Swap in an earlier copy so that it also wins the next sync (PanasMerge.supersede) */
+    function replaceWith(bytes, msg) {
+        var next = new window.panasSQL.Database(bytes);
+        try {
+            window.PanasMerge.supersede(next, window.panasDB, new Date().toISOString());
+            bytes = next.export();
+        } finally {
+            next.close();
+        }
+        window.panasReplaceDb(bytes, msg);
+    }
+
+    function restore(id) {
+        if (!confirm('Restore this snapshot? The current database is snapshotted first, so this can be undone.')) return;
+        var current = window.panasDB.export();
+        snapshot(current, 'before restore').then(function () {
+            return getSnapshot(id);
+        }).then(function (bytes) {
+            if (!bytes) throw new Error('Snapshot not found');
+            replaceWith(bytes, 'Restored snapshot.');
+        }).catch(function (e) {
+            console.error('PanasStore: restore failed', e);
+            alert('Restore failed: ' + (e.message || e));
+        });
+    }
+
+    function renderUsage() {
+        var el = document.getElementById('snap-usage');
+        if (!el || !navigator.storage || !navigator.storage.estimate) return;
+        navigator.storage.estimate().then(function (est) {
+            el.textContent = 'Browser storage: ' + fmtSize(est.usage || 0) + ' of ' + fmtSize(est.quota || 0);
+        });
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('snapshot-anchor');
+        if (!anchor || document.getElementById('snap-panel')) return;
+        injectStyles();
+        var panel = document.createElement('details');
+        panel.id = 'snap-panel';
+        panel.className = 'snap-panel';
+        panel.innerHTML =
+            '<summary>Snapshots &amp; recovery</summary>' +
+            '<div class="snap-actions">' +
+            '  <button id="snap-now">Snapshot now</button>' +
+            '  <span id="snap-usage" class="snap-usage"></span>' +
+            '</div>' +
+            '<div id="snap-list"></div>';
+        anchor.appendChild(panel);
+        document.getElementById('snap-now').onclick = function () {
+            snapshot(window.panasDB.export(), 'manual');
+        };
+        panel.addEventListener('toggle', function () {
+            if (panel.open) { renderSnapshots(); renderUsage(); }
+        });
+        /* Ask the browser not to evict our data under storage pressure */
+        if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        load: load,
+        save: save,
+        snapshot: snapshot,
+        canSnapshot: canSnapshot,
+        listSnapshots: listSnapshots,
+        getSnapshot: getSnapshot,
+        deleteSnapshot: deleteSnapshot,
+        replaceWith: replaceWith
+    };
+})();
@@ -1,12 +1,21 @@
 /**
- * PanasSync — Supabase authentication + cloud sync (no encryption)
+ * PanasSync — Supabase authentication + end-to-end encrypted cloud sync
+ *
+ * The SQLite export is encrypted in the browser before upload:
+ *   passphrase ─PBKDF2→ wrapping key ─AES-GCM wrap→ data key ─AES-GCM→ blob
+ * Supabase only ever stores the versioned envelope (see ENC_PREFIX), so the
+ * passphrase never leaves the device and admins cannot read journal logs.
+ * Rows written before encryption (plain base64) are still readable and get
+ * re-encrypted on the next push.
  *
  * Depends on:
  *   window.supabase.createClient (@supabase/supabase-js v2 CDN)
  *   window.panasDB               (sql.js Database)
- *   window.panasPersist           (function — flush DB to localStorage)
+ *   window.panasPersist           (function — flush DB to storage)
  *   window.panasSQL              (sql.js SQL module — for opening cloud blobs)
  *   window.panasRefreshFromDb    (function — refresh UI after merge)
+ *   window.PanasSchema           (js/schema.js — migrations, also applied to cloud blobs)
+ *   window.PanasMerge            (js/merge.js — row-level merge of the cloud copy)
  *
  * ── Supabase project setup (run once in SQL Editor) ─────────────
  *
@@ -32,8 +41,21 @@ window.PanasSync = (function () {
     'use strict';
 
     var LS_SETTINGS = 'panas_supabase_config';
+    var LS_DEVICE_KEY = 'panas_sync_key';
+    var LS_LAST_SYNC = 'panas_last_sync';
+    var LS_PUSH_PENDING = 'panas_push_pending';
+    var ENC_PREFIX = 'PANAS-E2E/1 ';
+    var KDF_ITERATIONS = 600000;
     var client = null;
     var currentUser = null;
+    var keyring = null;        // { dek: CryptoKey, header: { kdf, wrap } } once unlocked
+    var cloudState = null;     // 'empty' | 'legacy' | 'encrypted' — last seen cloud row
+    var cloudEnvelope = null;  // parsed envelope of the last pulled encrypted row
+    var cloudUpdatedAt = null; // updated_at of the last fetched row — the version a push may replace
+    var pushing = null;        // promise of the push in flight
+    var pushAgain = false;     // the DB changed while it was in flight
+    var mergingForPush = false;
+    var lastMergeReport = null;
 
     /* ================================================================
        Settings (Supabase project URL + anon key)
@@ -89,6 +111,7 @@ window.PanasSync = (function () {
         if (!client) return Promise.resolve();
         return client.auth.signOut().then(function () {
             currentUser = null;
+            lock();
             refreshUI();
         });
     }
@@ -118,116 +141,384 @@ window.PanasSync = (function () {
     }
 
     /* ================================================================
-       Cloud push / pull (plain base64, protected by RLS)
+       End-to-end encryption (WebCrypto)
+       ================================================================ */
+    function cryptoError(code, message) {
+        var e = new Error(message);
+        e.code = code;
+        return e;
+    }
+
+    function hasWebCrypto() {
+        return !!(window.crypto && window.crypto.subtle);
+    }
+
+    function randomBytes(n) {
+        return window.crypto.getRandomValues(new Uint8Array(n));
+    }
+
+    function deriveWrappingKey(passphrase, kdf) {
+        var enc = new TextEncoder();
+        return crypto.subtle.importKey('raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+            .then(function (base) {
+                return crypto.subtle.deriveKey(
+                    { name: 'PBKDF2', hash: kdf.hash, salt: b64ToU8(kdf.salt), iterations: kdf.iterations },
+                    base, { name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']
+                );
+            });
+    }
+
+    /* New salt + fresh wrap of `dek` under `passphrase` → header fields */
+    function wrapDataKey(dek, passphrase) {
+        var kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: u8ToB64(randomBytes(16)) };
+        var iv = randomBytes(12);
+        return deriveWrappingKey(passphrase, kdf).then(function (kek) {
+            return crypto.subtle.wrapKey('raw', dek, kek, { name: 'AES-GCM', iv: iv });
+        }).then(function (wrapped) {
+            return { kdf: kdf, wrap: { iv: u8ToB64(iv), key: u8ToB64(new Uint8Array(wrapped)) } };
+        });
+    }
+
+    function unwrapDataKey(header, passphrase) {
+        return deriveWrappingKey(passphrase, header.kdf).then(function (kek) {
+            return crypto.subtle.unwrapKey(
+                'raw', b64ToU8(header.wrap.key), kek, { name: 'AES-GCM', iv: b64ToU8(header.wrap.iv) },
+                { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+            );
+        }).catch(function () {
+            throw cryptoError('WRONG_PASSPHRASE', 'Wrong passphrase — could not unlock cloud data');
+        });
+    }
+
+    function encryptBlob(bytes) {
+        var iv = randomBytes(12);
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, keyring.dek, bytes).then(function (ct) {
+            return ENC_PREFIX + JSON.stringify({
+                v: 1,
+                kdf: keyring.header.kdf,
+                wrap: keyring.header.wrap,
+                data: { iv: u8ToB64(iv), ct: u8ToB64(new Uint8Array(ct)) }
+            });
+        });
+    }
+
+    function decryptEnvelope(env, dek) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: b64ToU8(env.data.iv) }, dek, b64ToU8(env.data.ct))
+            .then(function (plain) { return new Uint8Array(plain); })
+            .catch(function () {
+                throw cryptoError('DECRYPT_FAILED', 'Cloud data could not be decrypted with this key');
+            });
+    }
+
+    /* Parse a stored blob → { state, envelope | bytes }.  Unknown versions are refused. */
+    function parseBlob(blob) {
+        if (blob.indexOf(ENC_PREFIX) === 0) {
+            var env = JSON.parse(blob.slice(ENC_PREFIX.length));
+            if (env.v !== 1) throw cryptoError('UNSUPPORTED_VERSION', 'Cloud data uses a newer encryption format (v' + env.v + ')');
+            return { state: 'encrypted', envelope: env };
+        }
+        if (blob.indexOf('PANAS-E2E/') === 0) {
+            throw cryptoError('UNSUPPORTED_VERSION', 'Cloud data uses a newer encryption format');
+        }
+        return { state: 'legacy', bytes: b64ToU8(blob) };
+    }
+
+    /* ---- device-remembered data key (optional) ---- */
+    function rememberKey() {
+        return crypto.subtle.exportKey('raw', keyring.dek).then(function (raw) {
+            localStorage.setItem(LS_DEVICE_KEY, JSON.stringify({ user: currentUser.id, dek: u8ToB64(new Uint8Array(raw)) }));
+        });
+    }
+
+    function loadRememberedKey() {
+        var s = localStorage.getItem(LS_DEVICE_KEY);
+        if (!s || !currentUser) return Promise.resolve(null);
+        var saved = JSON.parse(s);
+        if (saved.user !== currentUser.id) return Promise.resolve(null);
+        return crypto.subtle.importKey('raw', b64ToU8(saved.dek), { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }
+
+    function lock() {
+        keyring = null;
+        cloudState = null;
+        cloudEnvelope = null;
+        localStorage.removeItem(LS_DEVICE_KEY);
+    }
+
+    /* First-time setup (no cloud row, or a legacy plain row to migrate) */
+    function createPassphrase(passphrase, remember) {
+        var dek;
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+            .then(function (k) { dek = k; return wrapDataKey(dek, passphrase); })
+            .then(function (header) {
+                keyring = { dek: dek, header: header };
+                return remember ? rememberKey() : null;
+            });
+    }
+
+    function unlock(passphrase, remember) {
+        if (!cloudEnvelope) return Promise.reject(cryptoError('NO_CLOUD_DATA', 'No encrypted cloud data to unlock'));
+        var env = cloudEnvelope;
+        return unwrapDataKey(env, passphrase).then(function (dek) {
+            keyring = { dek: dek, header: { kdf: env.kdf, wrap: env.wrap } };
+            return remember ? rememberKey() : null;
+        });
+    }
+
+    /* Re-wrap the same data key under a new passphrase. The data key itself
+       is unchanged, so devices that remembered it keep working. */
+    function changePassphrase(current, next) {
+        if (!keyring) return Promise.reject(cryptoError('LOCKED', 'Unlock sync before changing the passphrase'));
+        return unwrapDataKey(keyring.header, current).then(function () {
+            return wrapDataKey(keyring.dek, next);
+        }).then(function (header) {
+            /* pinned: the pull before the push must not adopt the old wrap */
+            keyring.header = header;
+            keyring.pinned = true;
+            return pushToCloud(function () { return window.panasDB.export(); });
+        });
+    }
+
+    /* ================================================================
+       Cloud push / pull (encrypted envelope, additionally protected by RLS)
        ================================================================ */
-    function pushToCloud(dbExportFn) {
+    /* Every push pulls first: the cloud row is merged into the local DB
+       (js/merge.js), and the merged DB replaces the row only if the row is
+       still the version that was pulled (compare-and-swap on updated_at). If
+       another device pushed in between, nothing is written and the merge is
+       repeated. Pushes requested while one is in flight are folded into one
+       follow-up push. `overwrite` (new passphrase after a forgotten one)
+       replaces the row without reading it. */
+    var MAX_PUSH_ATTEMPTS = 3;
+
+    function pushToCloud(dbExportFn, overwrite) {
         if (!client || !currentUser) return Promise.resolve(false);
-        var dbBytes = typeof dbExportFn === 'function' ? dbExportFn() : dbExportFn;
-        var blob = u8ToB64(dbBytes);
-        return client.from('user_data').upsert({
-            user_id: currentUser.id,
-            encrypted_blob: blob,
-            updated_at: new Date().toISOString()
-        }, { onConflict: 'user_id' }).then(function (res) {
-            if (res.error) throw res.error;
+        if (!keyring) {
+            setSyncMsg('Locked — enter your sync passphrase to push', true);
+            return Promise.resolve(false);
+        }
+        if (navigator.onLine === false) {
+            queuePush();
+            return Promise.resolve(false);
+        }
+        if (pushing) {
+            if (!mergingForPush) pushAgain = true;
+            return pushing;
+        }
+        pushing = mergeAndPush(dbExportFn, 1, overwrite).then(function (ok) {
+            pushing = null;
+            if (!pushAgain) return ok;
+            pushAgain = false;
+            return pushToCloud(dbExportFn);
+        });
+        return pushing;
+    }
+
+    function mergeAndPush(dbExportFn, attempt, overwrite) {
+        var seen;
+        return (overwrite ? fetchCloudRow().then(function () { return null; }) : pullRaw()).then(function (bytes) {
+            seen = cloudUpdatedAt;
+            /* the merge persists, which would ask for another push — this one covers it */
+            mergingForPush = true;
+            var merged;
+            try { merged = mergeBytes(bytes); } finally { mergingForPush = false; }
+            /* never replace a cloud copy this device could not read */
+            if (merged === null) throw cryptoError('MERGE_FAILED', '');
+            var dbBytes = typeof dbExportFn === 'function' ? dbExportFn() : dbExportFn;
+            return encryptBlob(dbBytes);
+        }).then(function (blob) {
+            var row = { user_id: currentUser.id, encrypted_blob: blob, updated_at: new Date().toISOString() };
+            var table = client.from('user_data');
+            if (cloudState === 'empty') return table.insert(row).select('updated_at');
+            var q = table.update(row).eq('user_id', currentUser.id);
+            return (seen == null ? q.is('updated_at', null) : q.eq('updated_at', seen)).select('updated_at');
+        }).then(function (res) {
+            /* no row matched (or, for a first push, one appeared): another device got there first */
+            var lost = res.error ? res.error.code === '23505' : !(res.data && res.data.length);
+            if (res.error && !lost) throw res.error;
+            if (lost) {
+                if (attempt < MAX_PUSH_ATTEMPTS) return mergeAndPush(dbExportFn, attempt + 1, overwrite);
+                setSyncMsg('Cloud data kept changing during the push — will try again on the next change', true);
+                localStorage.setItem(LS_PUSH_PENDING, new Date().toISOString());
+                return false;
+            }
+            cloudState = 'encrypted';
+            cloudUpdatedAt = res.data[0].updated_at;
+            delete keyring.pinned;
+            localStorage.removeItem(LS_PUSH_PENDING);
             setSyncMsg('✓ Synced ' + new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }), false);
             return true;
         }).catch(function (e) {
+            if (e.code === 'MERGE_FAILED') return false;   // mergeBytes said why
+            if (isNetworkError(e)) {
+                queuePush();
+                return false;
+            }
             console.error('PanasSync: push failed', e);
             setSyncMsg('Push failed: ' + (e.message || e), true);
             return false;
         });
     }
 
-    function pullRaw() {
+    /* ================================================================
+       Offline queue — a push is always the whole DB, so the queue is a
+       single flag. On reconnect the push merges whatever other devices
+       pushed meanwhile, like every push.
+       ================================================================ */
+    function isNetworkError(e) {
+        return navigator.onLine === false || /fetch|network|offline/i.test((e && e.message) || String(e));
+    }
+
+    function queuePush() {
+        localStorage.setItem(LS_PUSH_PENDING, new Date().toISOString());
+        setSyncMsg('Offline — changes queued, will sync when back online', false);
+    }
+
+    function flushQueue() {
+        if (!localStorage.getItem(LS_PUSH_PENDING) || !keyring || navigator.onLine === false) return Promise.resolve(false);
+        return pushToCloud(function () { return window.panasDB.export(); });
+    }
+
+    /* Fetch the row and classify it; sets cloudState / cloudEnvelope */
+    function fetchCloudRow() {
         if (!client || !currentUser) return Promise.resolve(null);
         return client.from('user_data')
             .select('encrypted_blob, updated_at')
             .eq('user_id', currentUser.id)
-            .single()
+            .maybeSingle()
             .then(function (res) {
-                if (res.error || !res.data) return null;
-                return b64ToU8(res.data.encrypted_blob);
+                if (res.error) throw res.error;
+                if (!res.data) {
+                    cloudState = 'empty';
+                    cloudEnvelope = null;
+                    cloudUpdatedAt = null;
+                    return null;
+                }
+                cloudUpdatedAt = res.data.updated_at;
+                var parsed = parseBlob(res.data.encrypted_blob);
+                cloudState = parsed.state;
+                cloudEnvelope = parsed.envelope || null;
+                return parsed;
             });
     }
 
+    /* Decrypted SQLite bytes of the cloud row, or null if there is none */
+    function pullRaw() {
+        return fetchCloudRow().then(function (parsed) {
+            if (!parsed) return null;
+            if (parsed.state === 'legacy') return parsed.bytes;
+            if (!keyring) throw cryptoError('LOCKED', 'Cloud data is encrypted — enter your passphrase');
+            return decryptEnvelope(parsed.envelope, keyring.dek).then(function (bytes) {
+                /* adopt the latest wrap, in case the passphrase was changed on another device */
+                if (!keyring.pinned) keyring.header = { kdf: parsed.envelope.kdf, wrap: parsed.envelope.wrap };
+                return bytes;
+            });
+        });
+    }
+
     /* ================================================================
        Merge cloud DB into local DB
        ================================================================ */
     function mergeFromCloud() {
-        return pullRaw().then(function (bytes) {
-            if (!bytes) return false;
-            var SQL = window.panasSQL;
-            var db = window.panasDB;
-            if (!SQL || !db) return false;
-
-            var cloudDB;
-            try { cloudDB = new SQL.Database(bytes); } catch (e) {
-                console.error('PanasSync: cloud DB corrupt', e);
-                setSyncMsg('Cloud data corrupted', true);
-                return false;
-            }
-
-            var imported = 0;
-            imported += mergeTable(cloudDB, db, 'entries');
-            imported += mergeTable(cloudDB, db, 'intent_checkins');
-            imported += mergeTable(cloudDB, db, 'sleep_log');
-            cloudDB.close();
-
-            if (imported > 0) {
-                window.panasPersist();
-                if (window.panasRefreshFromDb) window.panasRefreshFromDb();
-                setSyncMsg('✓ Merged ' + imported + ' new row(s) from cloud', false);
-            } else {
-                setSyncMsg('✓ Up to date', false);
-            }
-            return imported > 0;
-        }).catch(function (e) {
+        return pullRaw().then(mergeBytes).catch(function (e) {
             console.error('PanasSync: pull/merge failed', e);
             setSyncMsg('Pull failed: ' + (e.message || e), true);
             return false;
         });
     }
 
-    function mergeTable(srcDB, dstDB, table) {
-        var imported = 0;
+    /* → whether anything changed, or null when the cloud copy could not be merged */
+    function mergeBytes(bytes) {
+        var wasLegacy = cloudState === 'legacy';
+        if (!bytes) return false;
+        var SQL = window.panasSQL;
+        var db = window.panasDB;
+        if (!SQL || !db) return false;
+
+        var cloudDB;
+        try { cloudDB = new SQL.Database(bytes); } catch (e) {
+            console.error('PanasSync: cloud DB corrupt', e);
+            setSyncMsg('Cloud data corrupted', true);
+            return null;
+        }
+
+        /* Blobs from older clients are upgraded the same way as local files;
+           one from a newer client is refused rather than partially merged. */
         try {
-            var srcRes = srcDB.exec('SELECT * FROM ' + table);
-            if (!srcRes.length) return 0;
-            var cols = srcRes[0].columns;
-            var rows = srcRes[0].values;
-
-            var tsIdx = cols.indexOf('ts');
-            if (tsIdx < 0) return 0;
-
-            var existing = new Set();
-            try {
-                var dstRes = dstDB.exec('SELECT ts FROM ' + table);
-                if (dstRes.length) dstRes[0].values.forEach(function (r) { existing.add(r[0]); });
-            } catch (_) { return 0; }
-
-            var insertCols = cols.filter(function (c) { return c !== 'id'; });
-            var placeholders = insertCols.map(function () { return '?'; }).join(',');
-            var colList = insertCols.map(function (c) { return '"' + c + '"'; }).join(',');
-            var insertQ = 'INSERT INTO ' + table + ' (' + colList + ') VALUES (' + placeholders + ')';
-
-            rows.forEach(function (row) {
-                var ts = row[tsIdx];
-                if (existing.has(ts)) return;
-                existing.add(ts);
-                var vals = [];
-                cols.forEach(function (c, i) { if (c !== 'id') vals.push(row[i]); });
-                try {
-                    var stmt = dstDB.prepare(insertQ);
-                    stmt.run(vals);
-                    stmt.free();
-                    imported++;
-                } catch (e) {
-                    console.warn('PanasSync: merge row failed for ' + table, e.message);
-                }
+            window.PanasSchema.migrate(cloudDB);
+        } catch (e) {
+            cloudDB.close();
+            console.error('PanasSync: cloud DB schema', e);
+            setSyncMsg(e.code === 'SCHEMA_TOO_NEW'
+                ? 'Cloud data comes from a newer app version — update this device before syncing'
+                : e.message, true);
+            return null;
+        }
+
+        /* Row-level last-writer-wins (js/merge.js). Only rows edited on both
+           sides since the last sync are worth reporting as conflicts. */
+        var since = localStorage.getItem(LS_LAST_SYNC) || '';
+        var report;
+        try {
+            var plan = window.PanasMerge.plan(cloudDB, db);
+            report = window.PanasMerge.apply(db, plan);
+            report.conflicts = [];
+            plan.tables.forEach(function (p) {
+                p.rows.forEach(function (r) {
+                    if (r.status !== 'conflict' || !since) return;
+                    if ((r.local.updated_at || '') <= since || (r.remote.updated_at || '') <= since) return;
+                    report.conflicts.push({
+                        table: p.table, uid: r.remote.uid, ts: r.remote.ts,
+                        winner: r.remoteWins ? 'cloud' : 'local',
+                        local_updated_at: r.local.updated_at, cloud_updated_at: r.remote.updated_at
+                    });
+                });
             });
-        } catch (e) { /* table doesn't exist in source */ }
-        return imported;
+        } catch (e) {
+            console.error('PanasSync: merge failed', e);
+            setSyncMsg('Merge failed: ' + e.message, true);
+            return null;
+        } finally {
+            cloudDB.close();
+        }
+        lastMergeReport = report;
+
+        var changed = report.inserted + report.updated + report.deleted;
+        if (changed > 0) {
+            window.panasPersist();
+            if (window.panasRefreshFromDb) window.panasRefreshFromDb();
+        }
+        setSyncMsg(describeReport(report), false);
+        if (report.conflicts.length) showConflictLink(report.conflicts);
+        localStorage.setItem(LS_LAST_SYNC, new Date().toISOString());
+        /* Replace an unencrypted legacy row with the encrypted envelope */
+        if (wasLegacy && keyring && !mergingForPush) pushToCloud(function () { return window.panasDB.export(); });
+        return changed > 0;
+    }
+
+    function describeReport(r) {
+        var parts = [];
+        if (r.inserted) parts.push(r.inserted + ' new');
+        if (r.updated) parts.push(r.updated + ' updated');
+        if (r.deleted) parts.push(r.deleted + ' deleted');
+        var msg = parts.length ? '✓ Merged from cloud: ' + parts.join(', ') : '✓ Up to date';
+        if (r.conflicts.length) msg += ' · ' + r.conflicts.length + ' conflict(s) resolved by latest edit';
+        return msg;
+    }
+
+    function showConflictLink(conflicts) {
+        var el = syncBar ? syncBar.querySelector('.sb-msg') : null;
+        if (!el) return;
+        var link = document.createElement('span');
+        link.className = 'sb-link';
+        link.textContent = ' details';
+        link.addEventListener('click', function () {
+            alert('Rows edited on both devices since the last sync:\n\n' + conflicts.map(function (c) {
+                return c.table + ' @ ' + new Date(c.ts).toLocaleString() + ' → kept ' + c.winner + ' version' +
+                    ' (local ' + c.local_updated_at + ', cloud ' + c.cloud_updated_at + ')';
+            }).join('\n'));
+        });
+        el.appendChild(link);
     }
 
     /* ================================================================
@@ -248,6 +539,9 @@ window.PanasSync = (function () {
             '#sync-bar .sb-msg.ok{color:#2a7;}',
             '#sync-bar .sb-user{font-weight:600;color:#333;}',
             '#sync-bar .sb-right{margin-left:auto;display:flex;gap:.4rem;align-items:center;}',
+            '#sync-bar input[type="password"]{padding:.3rem .5rem;border:1px solid #ddd;border-radius:4px;font-size:13px;font-family:inherit;width:160px;}',
+            '#sync-bar label.sb-remember{font-size:11px;color:#888;display:flex;align-items:center;gap:.2rem;}',
+            '#sync-bar .sb-link{font-size:11px;color:#999;text-decoration:underline;cursor:pointer;}',
             '.sb-config-section{margin-top:1rem;padding-top:1rem;border-top:1px solid #ddd;}',
             '.sb-config-section strong{display:block;margin-bottom:.3rem;}',
             '.sb-config-section p{font-size:12px;color:#888;margin:.2rem 0 .5rem;}',
@@ -321,22 +615,175 @@ window.PanasSync = (function () {
             '<span class="sb-msg"></span>';
     }
 
-    /* ---- State: signed in ---- */
+    /* ---- State: signed in, choosing a passphrase (empty / legacy cloud row, or reset) ---- */
+    function renderSetPassphrase(reset) {
+        var intro = reset
+            ? 'Replace the cloud copy with this device\'s data under a new passphrase:'
+            : cloudState === 'legacy'
+                ? 'Your cloud copy is unencrypted — choose a passphrase to encrypt it:'
+                : 'Choose a sync passphrase (data is encrypted before upload):';
+        syncBar.innerHTML =
+            '<span class="sb-icon">🔑</span>' +
+            '<span>' + intro + '</span>' +
+            '<input type="password" id="sb-pass" placeholder="Passphrase" autocomplete="new-password">' +
+            '<input type="password" id="sb-pass2" placeholder="Repeat" autocomplete="new-password">' +
+            '<label class="sb-remember" title="Anyone who can open this browser profile can then read your synced data"><input type="checkbox" id="sb-remember"> remember on this device (keeps the decryption key in this browser)</label>' +
+            '<button id="sb-setpass">' + (reset ? 'Replace cloud copy' : 'Encrypt &amp; sync') + '</button>' +
+            (reset ? '<button id="sb-cancel">Cancel</button>' : '') +
+            '<span class="sb-msg"></span>' +
+            '<span class="sb-right"><button id="sb-signout">Sign out</button></span>';
+
+        document.getElementById('sb-setpass').addEventListener('click', function () {
+            var pass = document.getElementById('sb-pass').value;
+            var pass2 = document.getElementById('sb-pass2').value;
+            var remember = document.getElementById('sb-remember').checked;
+            if (pass.length < 8) { setSyncMsg('Use at least 8 characters', true); return; }
+            if (pass !== pass2) { setSyncMsg('Passphrases do not match', true); return; }
+            if (reset && !confirm('Overwrite the cloud copy with this device\'s data? Rows only in the cloud will be lost.')) return;
+            setSyncMsg('Deriving key…', false);
+            var wasLegacy = cloudState === 'legacy' && !reset;
+            createPassphrase(pass, remember).then(function () {
+                refreshUI();
+                /* Legacy rows are merged first; mergeBytes then pushes them back encrypted */
+                return wasLegacy
+                    ? mergeFromCloud()
+                    : pushToCloud(function () { return window.panasDB.export(); }, reset);
+            }).catch(function (e) {
+                setSyncMsg(e.message || String(e), true);
+            });
+        });
+        if (reset) document.getElementById('sb-cancel').addEventListener('click', refreshUI);
+        document.getElementById('sb-signout').addEventListener('click', function () { signOut(); });
+    }
+
+    /* ---- State: signed in, encrypted cloud row, key not yet available ---- */
+    function renderUnlock() {
+        syncBar.innerHTML =
+            '<span class="sb-icon">🔐</span>' +
+            '<span>Cloud data is encrypted</span>' +
+            '<input type="password" id="sb-pass" placeholder="Sync passphrase" autocomplete="current-password">' +
+            '<label class="sb-remember" title="Anyone who can open this browser profile can then read your synced data"><input type="checkbox" id="sb-remember"> remember on this device (keeps the decryption key in this browser)</label>' +
+            '<button id="sb-unlock">Unlock</button>' +
+            '<span class="sb-msg"></span>' +
+            '<span class="sb-right">' +
+            '  <span class="sb-link" id="sb-forgot">Forgot passphrase?</span>' +
+            '  <button id="sb-signout">Sign out</button>' +
+            '</span>';
+
+        document.getElementById('sb-unlock').addEventListener('click', function () {
+            var pass = document.getElementById('sb-pass').value;
+            if (!pass) { setSyncMsg('Enter your passphrase', true); return; }
+            setSyncMsg('Unlocking…', false);
+            unlock(pass, document.getElementById('sb-remember').checked).then(function () {
+                refreshUI();
+                return localStorage.getItem(LS_PUSH_PENDING) ? flushQueue() : mergeFromCloud();
+            }).catch(function (e) {
+                setSyncMsg(e.message || String(e), true);
+            });
+        });
+        document.getElementById('sb-pass').addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') document.getElementById('sb-unlock').click();
+        });
+        document.getElementById('sb-forgot').addEventListener('click', function () { renderSetPassphrase(true); });
+        document.getElementById('sb-signout').addEventListener('click', function () { signOut(); });
+    }
+
+    /* ---- State: changing passphrase (re-wraps the data key) ---- */
+    function renderChangePassphrase() {
+        syncBar.innerHTML =
+            '<span class="sb-icon">🔑</span>' +
+            '<input type="password" id="sb-pass-cur" placeholder="Current passphrase" autocomplete="current-password">' +
+            '<input type="password" id="sb-pass" placeholder="New passphrase" autocomplete="new-password">' +
+            '<input type="password" id="sb-pass2" placeholder="Repeat new" autocomplete="new-password">' +
+            '<button id="sb-changepass">Change</button>' +
+            '<button id="sb-cancel">Cancel</button>' +
+            '<span class="sb-msg"></span>';
+
+        document.getElementById('sb-changepass').addEventListener('click', function () {
+            var cur = document.getElementById('sb-pass-cur').value;
+            var pass = document.getElementById('sb-pass').value;
+            var pass2 = document.getElementById('sb-pass2').value;
+            if (pass.length < 8) { setSyncMsg('Use at least 8 characters', true); return; }
+            if (pass !== pass2) { setSyncMsg('Passphrases do not match', true); return; }
+            setSyncMsg('Re-wrapping key…', false);
+            changePassphrase(cur, pass).then(function (ok) {
+                refreshUI();
+                setSyncMsg(ok ? '✓ Passphrase changed' : 'Passphrase changed locally — push failed', !ok);
+            }).catch(function (e) {
+                setSyncMsg(e.message || String(e), true);
+            });
+        });
+        document.getElementById('sb-cancel').addEventListener('click', refreshUI);
+    }
+
+    /* ---- State: signed in and unlocked ---- */
     function renderReady() {
         syncBar.innerHTML =
             '<span class="sb-icon">☁️</span>' +
-            '<span>Synced as <span class="sb-user">' + esc(currentUser.email) + '</span></span>' +
+            '<span>Synced as <span class="sb-user">' + esc(currentUser.email) + '</span> · 🔒 end-to-end encrypted</span>' +
             '<span class="sb-msg ok"></span>' +
             '<span class="sb-right">' +
             '  <span style="color:#999;font-size:11px">Refresh page to pull data</span>' +
+            '  <button id="sb-changepass-open">Change passphrase</button>' +
             '  <button id="sb-signout">Sign out</button>' +
             '</span>';
 
+        document.getElementById('sb-changepass-open').addEventListener('click', renderChangePassphrase);
         document.getElementById('sb-signout').addEventListener('click', function () {
             signOut();
         });
     }
 
+    /* ---- State: signed in, waiting for the cloud row ---- */
+    function renderChecking(msg, isError) {
+        syncBar.innerHTML =
+            '<span class="sb-icon">☁️</span>' +
+            '<span>Signed in as <span class="sb-user">' + esc(currentUser.email) + '</span></span>' +
+            '<span class="sb-msg"></span>' +
+            '<span class="sb-right"><button id="sb-signout">Sign out</button></span>';
+        setSyncMsg(msg, isError);
+        document.getElementById('sb-signout').addEventListener('click', function () { signOut(); });
+    }
+
+    /* Inspect the cloud row once per sign-in and try the remembered device key */
+    var sessionStarting = false;
+    function startSession() {
+        if (sessionStarting) return;
+        if (!hasWebCrypto()) {
+            cloudState = 'unsupported';
+            refreshUI();
+            return;
+        }
+        sessionStarting = true;
+        var bytes = null;
+        fetchCloudRow().then(function () {
+            if (cloudState !== 'encrypted') return null;
+            var env = cloudEnvelope;
+            return loadRememberedKey().then(function (dek) {
+                if (!dek) return null;
+                return decryptEnvelope(env, dek).then(function (plain) {
+                    keyring = { dek: dek, header: { kdf: env.kdf, wrap: env.wrap } };
+                    bytes = plain;
+                }).catch(function () {
+                    localStorage.removeItem(LS_DEVICE_KEY);
+                });
+            });
+        }).then(function () {
+            sessionStarting = false;
+            refreshUI();
+            if (bytes) {
+                mergeBytes(bytes);
+                if (localStorage.getItem(LS_PUSH_PENDING)) pushToCloud(function () { return window.panasDB.export(); });
+            }
+        }).catch(function (e) {
+            sessionStarting = false;
+            console.error('PanasSync: could not read cloud row', e);
+            cloudState = 'error';
+            refreshUI();
+            setSyncMsg((e.code === 'UNSUPPORTED_VERSION' ? '' : 'Could not reach cloud: ') + (e.message || e), true);
+        });
+    }
+
     /* ---- State router ---- */
     function refreshUI() {
         if (!syncBar) return;
@@ -351,7 +798,20 @@ window.PanasSync = (function () {
             return;
         }
 
-        renderReady();
+        if (keyring) {
+            renderReady();
+        } else if (cloudState === 'encrypted') {
+            renderUnlock();
+        } else if (cloudState === 'empty' || cloudState === 'legacy') {
+            renderSetPassphrase(false);
+        } else if (cloudState === 'unsupported') {
+            renderChecking('Encrypted sync needs WebCrypto (https:// or localhost)', true);
+        } else if (cloudState === 'error') {
+            renderChecking('', true);
+        } else {
+            renderChecking('Checking cloud data…', false);
+            startSession();
+        }
     }
 
     /* ================================================================
@@ -368,7 +828,7 @@ window.PanasSync = (function () {
         var s = getSettings();
         section.innerHTML =
             '<strong>☁️ Cloud Sync (Supabase)</strong>' +
-            '<p>Enable multi-device sync via your own Supabase project. Data is protected by row-level security (only you can access your data).</p>' +
+            '<p>Enable multi-device sync via your own Supabase project. Data is encrypted in the browser with your sync passphrase before upload, and the row is additionally protected by row-level security. The passphrase cannot be recovered.</p>' +
             '<label>Supabase Project URL:</label>' +
             '<input id="sbUrl" type="text" placeholder="https://xxxxx.supabase.co" value="' + esc(s.url) + '">' +
             '<label>Supabase Publishable Key:</label>' +
@@ -417,15 +877,15 @@ window.PanasSync = (function () {
        Boot
        ================================================================ */
     function boot() {
+        window.addEventListener('online', function () { flushQueue(); });
         injectStyles();
         ensureDOMElements();
         injectConfigUI();
 
         if (initClient()) {
+            /* refreshUI → startSession pulls cloud data once the key is available */
             checkSession().then(function () {
                 refreshUI();
-                /* Pull cloud data once on page load */
-                if (currentUser) mergeFromCloud();
             });
         } else {
             refreshUI();
@@ -437,7 +897,9 @@ window.PanasSync = (function () {
        ================================================================ */
     var api = {
         pushToCloud: pushToCloud,
-        isReady: function () { return !!(client && currentUser); }
+        changePassphrase: changePassphrase,
+        isReady: function () { return !!(client && currentUser && keyring); },
+        getLastMergeReport: function () { return lastMergeReport; }
     };
 
     if (window.panasDB) {
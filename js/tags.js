@@ -0,0 +1,251 @@
+/**
+ * PanasTags — tags and structured context on entries (entry_tags, schema.js v5)
+ *
+ * A tag is a lowercase key with an optional value: `work`, `location:home`,
+ * `caffeine:2`, `cycle_day:14`. Each one is a row of the synced entry_tags
+ * table pointing at an entry uid; removing a tag tombstones its row so the
+ * removal reaches other devices, and re-adding it revives the same row.
+ *
+ *   parse(text) → { tag, value } | null       format(t) → 'tag' | 'tag:value'
+ *   extract(log)                              #hashtags written in a log
+ *   forEntry(db, uid), setForEntry(db, uid, tags, now), byEntry(db)
+ *   counts(db)          → [{ key, count }] for live entries, most used first
+ *   where(filter)       → { sql, params } selecting entries carrying `filter`
+ *                         (a bare key matches every value of it)
+ *
+ * UI: the chip input with autocomplete is injected into #tag-anchor (under the
+ * log) and the filter into #tag-filter-anchor (range bar) once
+ * 'panas-db-ready' fires; the filter applies through window.panasSetTagFilter.
+ *
+ * Loaded before the main script; depends on window.panasNewUid at write time.
+ */
+window.PanasTags = (function () {
+    'use strict';
+
+    /* Suggested before they have ever been used */
+    var CONTEXT_KEYS = ['location', 'activity', 'people', 'caffeine', 'alcohol', 'medication', 'cycle_day'];
+    var TAG_RE = /^([\w-]+)(?::(.+))?$/;
+    var HASHTAG_RE = /#([\w-]+(?::[\w.-]+)?)/g;
+    var MAX_VALUE = 40;
+
+    var chips = [];     // tags in the chip input, formatted
+
+    /* ================================================================
+       Data
+       ================================================================ */
+    function parse(text) {
+        var m = TAG_RE.exec(String(text || '').trim().replace(/^#/, '').toLowerCase());
+        if (!m) return null;
+        var value = m[2] == null ? null : m[2].trim().replace(/\s+/g, ' ');
+        if (value === '' || (value && (value.length > MAX_VALUE || /[,#]/.test(value)))) return null;
+        return { tag: m[1], value: value };
+    }
+
+    function format(t) {
+        return t.tag + (t.value == null ? '' : ':' + t.value);
+    }
+
+    function extract(log) {
+        var out = [], m;
+        HASHTAG_RE.lastIndex = 0;
+        while ((m = HASHTAG_RE.exec(log || ''))) {
+            var t = parse(m[1]);
+            if (t && out.indexOf(format(t)) < 0) out.push(format(t));
+        }
+        return out;
+    }
+
+    function forEntry(db, uid) {
+        var res = db.exec('SELECT tag, value FROM entry_tags WHERE deleted=0 AND entry_uid=? ORDER BY id', [uid]);
+        return res.length ? res[0].values.map(function (v) { return format({ tag: v[0], value: v[1] }); }) : [];
+    }
+
+    /* Make the entry's live tags exactly `tags` (formatted strings) */
+    function setForEntry(db, uid, tags, now) {
+        var want = {};
+        tags.forEach(function (s) { var t = parse(s); if (t) want[format(t)] = t; });
+        var res = db.exec('SELECT id, tag, value, deleted FROM entry_tags WHERE entry_uid=?', [uid]);
+        var have = {};
+        (res.length ? res[0].values : []).forEach(function (v) {
+            var key = format({ tag: v[1], value: v[2] });
+            if (have[key] && !have[key].deleted) return;   // keep the live duplicate, if any
+            have[key] = { id: v[0], deleted: !!v[3] };
+        });
+        Object.keys(have).forEach(function (key) {
+            var h = have[key];
+            if (!want[key] && !h.deleted) db.run('UPDATE entry_tags SET deleted=1, updated_at=? WHERE id=?', [now, h.id]);
+            if (want[key] && h.deleted) db.run('UPDATE entry_tags SET deleted=0, updated_at=? WHERE id=?', [now, h.id]);
+        });
+        Object.keys(want).forEach(function (key) {
+            if (have[key]) return;
+            db.run('INSERT INTO entry_tags (uid, entry_uid, tag, value, ts, updated_at) VALUES (?,?,?,?,?,?)',
+                [window.panasNewUid(), uid, want[key].tag, want[key].value, now, now]);
+        });
+    }
+
+    function byEntry(db) {
+        var map = {};
+        var res = db.exec('SELECT entry_uid, tag, value FROM entry_tags WHERE deleted=0 ORDER BY id');
+        if (res.length) res[0].values.forEach(function (v) {
+            (map[v[0]] = map[v[0]] || []).push(format({ tag: v[1], value: v[2] }));
+        });
+        return map;
+    }
+
+    /* Distinct keys and key:value pairs on live entries */
+    function counts(db) {
+        var res = db.exec('SELECT t.tag, t.value, COUNT(DISTINCT t.entry_uid) FROM entry_tags t JOIN entries e ON e.uid=t.entry_uid ' +
+            'WHERE t.deleted=0 AND e.deleted=0 GROUP BY t.tag, t.value');
+        var byKey = {};
+        (res.length ? res[0].values : []).forEach(function (v) {
+            byKey[v[0]] = (byKey[v[0]] || 0) + v[2];
+            if (v[1] != null) byKey[v[0] + ':' + v[1]] = v[2];
+        });
+        return Object.keys(byKey).map(function (k) { return { key: k, count: byKey[k] }; })
+            .sort(function (a, b) { return b.count - a.count || (a.key < b.key ? -1 : 1); });
+    }
+
+    function where(filter) {
+        var t = parse(filter);
+        if (!t) return { sql: '1', params: [] };
+        return t.value == null
+            ? { sql: 'uid IN (SELECT entry_uid FROM entry_tags WHERE deleted=0 AND tag=?)', params: [t.tag] }
+            : { sql: 'uid IN (SELECT entry_uid FROM entry_tags WHERE deleted=0 AND tag=? AND value=?)', params: [t.tag, t.value] };
+    }
+
+    /* ================================================================
+       Chip input + filter
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-tags-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-tags-css';
+        style.textContent = [
+            '.tag-input{display:flex;flex-wrap:wrap;gap:.3rem;align-items:center;border:1px solid #ccc;border-radius:6px;padding:.25rem .4rem;margin:.3rem 0;background:#fff;}',
+            '.tag-input input{flex:1;min-width:10rem;border:none;outline:none;font-size:13px;padding:.15rem;}',
+            '.tag-chip{background:#eef3f8;color:#2a5d8a;border-radius:10px;padding:.05rem .5rem;font-size:12px;white-space:nowrap;}',
+            '.tag-chip button{border:none;background:none;color:#7a99b5;cursor:pointer;padding:0 0 0 .25rem;font-size:12px;}',
+            '#tag-filter{font-size:12px;padding:.1rem .3rem;margin-left:.4rem;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+    function renderChips() {
+        var box = document.getElementById('tag-chips');
+        if (!box) return;
+        box.innerHTML = chips.map(function (c, i) {
+            return '<span class="tag-chip">#' + esc(c) + '<button data-i="' + i + '" title="Remove tag" aria-label="Remove ' + esc(c) + '">✕</button></span>';
+        }).join('');
+        box.querySelectorAll('button').forEach(function (b) {
+            b.onclick = function () { chips.splice(+b.dataset.i, 1); renderChips(); };
+        });
+    }
+
+    /* Add the typed text as a chip; false (and the input left as is) when it isn't a valid tag */
+    function commitInput() {
+        var input = document.getElementById('tag-entry');
+        var text = input.value.trim().replace(/,$/, '');
+        if (!text) return true;
+        var t = parse(text);
+        if (!t) {
+            document.getElementById('status').textContent = 'Tags are letters, digits, - or _, optionally followed by :value (e.g. location:home).';
+            return false;
+        }
+        if (chips.indexOf(format(t)) < 0) chips.push(format(t));
+        input.value = '';
+        renderChips();
+        return true;
+    }
+
+    function current() {
+        commitInput();
+        return chips.slice();
+    }
+
+    function set(list) {
+        chips = (list || []).slice();
+        var input = document.getElementById('tag-entry');
+        if (input) input.value = '';
+        renderChips();
+    }
+
+    function refresh() {
+        var db = window.panasDB;
+        if (!db) return;
+        var known = counts(db);
+        var dl = document.getElementById('tag-suggest');
+        if (dl) {
+            var used = known.map(function (k) { return k.key; });
+            dl.innerHTML = known.map(function (k) {
+                return '<option value="' + esc(k.key) + '">' + k.count + ' entr' + (k.count === 1 ? 'y' : 'ies') + '</option>';
+            }).join('') + CONTEXT_KEYS.filter(function (k) { return used.indexOf(k) < 0; }).map(function (k) {
+                return '<option value="' + k + ':">context</option>';
+            }).join('');
+        }
+        var sel = document.getElementById('tag-filter');
+        if (sel) {
+            var keep = sel.value;
+            sel.innerHTML = '<option value="">All tags</option>' + known.map(function (k) {
+                return '<option value="' + esc(k.key) + '">#' + esc(k.key) + ' (' + k.count + ')</option>';
+            }).join('');
+            if (keep && !known.some(function (k) { return k.key === keep; })) {
+                sel.insertAdjacentHTML('beforeend', '<option value="' + esc(keep) + '">#' + esc(keep) + ' (0)</option>');
+            }
+            sel.value = keep;
+        }
+    }
+
+    function mountUI() {
+        var anchor = document.getElementById('tag-anchor');
+        if (!anchor || document.getElementById('tag-entry')) return;
+        injectStyles();
+        anchor.innerHTML =
+            '<div class="tag-input" id="tag-input"><span id="tag-chips"></span>' +
+            '<input id="tag-entry" list="tag-suggest" autocomplete="off" aria-label="Add tag" ' +
+            'placeholder="Add tags — work, location:home, caffeine:2 (Enter or comma)"></div>' +
+            '<datalist id="tag-suggest"></datalist>';
+        var input = document.getElementById('tag-entry');
+        input.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                commitInput();
+            } else if (e.key === 'Backspace' && !input.value && chips.length) {
+                chips.pop();
+                renderChips();
+            }
+        });
+        input.addEventListener('blur', commitInput);
+
+        var fAnchor = document.getElementById('tag-filter-anchor');
+        if (fAnchor) {
+            fAnchor.innerHTML = '<select id="tag-filter" title="Show only entries with this tag" aria-label="Tag filter"></select>';
+            document.getElementById('tag-filter').onchange = function () {
+                if (window.panasSetTagFilter) window.panasSetTagFilter(this.value || null);
+            };
+        }
+        refresh();
+    }
+
+    if (window.panasDB) {
+        mountUI();
+    } else {
+        window.addEventListener('panas-db-ready', mountUI);
+    }
+
+    return {
+        CONTEXT_KEYS: CONTEXT_KEYS,
+        parse: parse,
+        format: format,
+        extract: extract,
+        forEntry: forEntry,
+        setForEntry: setForEntry,
+        byEntry: byEntry,
+        counts: counts,
+        where: where,
+        current: current,
+        set: set,
+        refresh: refresh
+    };
+})();
@@ -0,0 +1,143 @@
+/**
+ * PanasTime — when entries and check-ins happened
+ *
+ * Both are saved "now" unless their time picker says otherwise; sleep is
+ * logged per night instead (js/sleep.js). A picker reads "now" with a Change
+ * button; changing it reveals a datetime-local input (minute resolution,
+ * never later than now) and a Now button to go back. A picked time is refused when it is in the future or
+ * when the same table already has a live row in that minute: CSV / JSON
+ * import skips rows whose timestamp already exists and legacy uids are
+ * derived from ts (schema.js), so two rows at one time would be trouble later.
+ *
+ * ts stays an ISO UTC string; tz_offset (schema.js v10, minutes east of UTC)
+ * records the offset where the row was made, so charts can show the clock
+ * time the user experienced even when viewed in another timezone. Rows from
+ * before v10 have no offset and show in the viewer's time, as before.
+ *
+ *   offsetOf(date)               → minutes east of UTC in this browser at `date`
+ *   wallClock(ts, tzOffset)      → Date whose local fields show the time as experienced
+ *   mount(anchor, id, label)     render a picker into `anchor` (element or id)
+ *   read(id)                     → { ts, tzOffset, picked }
+ *   set(id, ts) / reset(id)      show a given time (e.g. an entry being edited) / back to now
+ *   problem(db, table, ts, picked, exceptUid) → '' or why `ts` can't be used
+ *
+ * Loaded before the main script; no dependencies.
+ */
+window.PanasTime = (function () {
+    'use strict';
+
+    var MINUTE = 60000;
+    var WHAT = { entries: 'an entry', intent_checkins: 'a check-in' };
+
+    function offsetOf(date) { return -date.getTimezoneOffset(); }
+
+    function wallClock(ts, tzOffset) {
+        var d = new Date(ts);
+        if (tzOffset == null || isNaN(d)) return d;
+        return new Date(d.getTime() + (tzOffset - offsetOf(d)) * MINUTE);
+    }
+
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+    /* Date → 'YYYY-MM-DDTHH:MM' in local time, as datetime-local wants it */
+    function inputValue(d) {
+        return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + 'T' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+    }
+
+    /* ================================================================
+       Picker
+       ================================================================ */
+    function injectStyles() {
+        if (document.getElementById('panas-time-css')) return;
+        var style = document.createElement('style');
+        style.id = 'panas-time-css';
+        style.textContent = [
+            '.ts-picker{display:inline-flex;gap:.3rem;align-items:center;font-size:12px;color:#888;}',
+            '.ts-picker button{padding:.2rem .5rem;font-size:12px;}',
+            '.ts-picker input{font-size:12px;padding:.15rem .3rem;}',
+            '.ts-picker.picked .ts-now-label{display:none;}'
+        ].join('\n');
+        document.head.appendChild(style);
+    }
+
+    function parts(id) {
+        return {
+            box: document.getElementById(id + '-picker'),
+            input: document.getElementById(id),
+            change: document.getElementById(id + '-change'),
+            now: document.getElementById(id + '-now')
+        };
+    }
+
+    function show(id, picked, d) {
+        var p = parts(id);
+        p.box.classList.toggle('picked', picked);
+        p.input.hidden = !picked;
+        p.now.hidden = !picked;
+        p.change.hidden = picked;
+        p.input.max = inputValue(new Date());
+        if (picked) p.input.value = inputValue(d || new Date());
+    }
+
+    function mount(anchor, id, label) {
+        var el = typeof anchor === 'string' ? document.getElementById(anchor) : anchor;
+        if (!el || document.getElementById(id)) return;
+        injectStyles();
+        el.innerHTML =
+            '<span class="ts-picker" id="' + id + '-picker">' + label + ' ' +
+            '<span class="ts-now-label">now</span>' +
+            '<input type="datetime-local" id="' + id + '" aria-label="' + label + ' (date and time)" hidden>' +
+            '<button type="button" id="' + id + '-change" title="Record this for an earlier time">Change</button>' +
+            '<button type="button" id="' + id + '-now" hidden>Now</button>' +
+            '</span>';
+        document.getElementById(id + '-change').onclick = function () {
+            show(id, true);
+            document.getElementById(id).focus();
+        };
+        document.getElementById(id + '-now').onclick = function () { show(id, false); };
+    }
+
+    function read(id) {
+        var p = parts(id);
+        if (!p.input || p.input.hidden || !p.input.value) {
+            var now = new Date();
+            return { ts: now.toISOString(), tzOffset: offsetOf(now), picked: false };
+        }
+        var d = new Date(p.input.value);   // local time
+        return isNaN(d) ? { ts: null, tzOffset: null, picked: true } : { ts: d.toISOString(), tzOffset: offsetOf(d), picked: true };
+    }
+
+    function set(id, ts) {
+        if (parts(id).input) show(id, true, new Date(ts));
+    }
+
+    function reset(id) {
+        if (parts(id).input) show(id, false);
+    }
+
+    /* ================================================================
+       Validation
+       ================================================================ */
+    function problem(db, table, ts, picked, exceptUid) {
+        var d = new Date(ts);
+        if (!ts || isNaN(d)) return 'Choose a date and time.';
+        if (d.getTime() > Date.now()) return 'That time is in the future.';
+        if (!picked) return '';
+        var from = new Date(Math.floor(d.getTime() / MINUTE) * MINUTE);
+        var res = db.exec('SELECT ts FROM ' + table + ' WHERE deleted=0 AND ts >= ? AND ts < ? AND uid IS NOT ? LIMIT 1',
+            [from.toISOString(), new Date(from.getTime() + MINUTE).toISOString(), exceptUid || null]);
+        if (!res.length) return '';
+        return 'There is already ' + WHAT[table] + ' at ' + d.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) +
+            ' — pick another minute.';
+    }
+
+    return {
+        offsetOf: offsetOf,
+        wallClock: wallClock,
+        mount: mount,
+        read: read,
+        set: set,
+        reset: reset,
+        problem: problem
+    };
+})();
@@ -0,0 +1,79 @@
+/**
+ * Service worker — precaches the dashboard shell so it installs to the home
+ * screen and runs fully offline. All data lives in the browser already; only
+ * the page, modules and vendored libraries need to be available.
+ *
+ * Same-origin GETs are served stale-while-revalidate: the cached copy answers
+ * immediately and a fresh one is fetched in the background for next time.
+ * Cross-origin requests (Supabase API, optional embedding model) pass through.
+ * The ONNX runtime's WASM (~21 MB, local embedding backend only) is not
+ * precached; like the model files it is cached the first time a model loads.
+ *
+ * Bump CACHE when the precache list changes.
+ */
+var CACHE = 'panas-shell-v18';
+
+var PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/schema.js',
+    'js/store.js',
+    'js/merge.js',
+    'js/instruments.js',
+    'js/tags.js',
+    'js/settings.js',
+    'js/timestamps.js',
+    'js/sleep.js',
+    'js/embeddings.js',
+    'js/quickentry.js',
+    'js/import.js',
+    'js/report.js',
+    'js/baselines.js',
+    'js/sync.js',
+    'js/intent.js',
+    'js/reminders.js',
+    'js/insights.js',
+    'js/search.js',
+    'vendor/d3.v7.min.js',
+    'vendor/sql-wasm.js',
+    'vendor/sql-wasm.wasm',
+    'vendor/supabase.js',
+    'vendor/transformers.min.js',
+    'vendor/ort-wasm-simd-threaded.jsep.mjs'
+];
+
+self.addEventListener('install', function (event) {
+    event.waitUntil(
+        caches.open(CACHE).then(function (cache) { return cache.addAll(PRECACHE); })
+            .then(function () { return self.skipWaiting(); })
+    );
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil(
+        caches.keys().then(function (keys) {
+            return Promise.all(keys.filter(function (k) { return k !== CACHE; })
+                .map(function (k) { return caches.delete(k); }));
+        }).then(function () { return self.clients.claim(); })
+    );
+});
+
+self.addEventListener('fetch', function (event) {
+    var req = event.request;
+    if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE).then(function (cache) {
+            return cache.match(req, { ignoreSearch: true }).then(function (cached) {
+                var network = fetch(req).then(function (res) {
+                    if (res && res.ok) cache.put(req, res.clone());
+                    return res;
+                }).catch(function () { return cached; });
+                return cached || network;
+            });
+        })
+    );
+});